@@ -4,6 +4,7 @@ var Connections =  [],
     DeadConnections = [],
     retry = true,
     logger,
+    Q = require('q'),
     _ = require('lodash');
 
 module.exports = function (_logger) {
@@ -159,14 +160,14 @@ function addDeadConnection(client) {
 
 // DONE
 function clearPools(guid){
-    if (_.findIndex(Connections, guid) >= 0){
+    if (_.findIndex(Connections, {guid:guid}) >= 0){
         console.log('found live connection to pull');
-        _.pull(DeadConnections, client.guid);
+        _.remove(Connections, {guid:guid});
     }
 
-    if (_.findIndex(DeadConnections, guid) >= 0){
+    if (_.findIndex(DeadConnections, {guid:guid}) >= 0){
         console.log('found dead connection to pull');
-        _.pull(DeadConnections, client.guid);
+        _.remove(DeadConnections, {guid:guid});
     }
 }
 
@@ -263,17 +264,33 @@ function reviveConnection(guid) {
 // NOT DONE
 function publishMessageToExchange(exchange, auditkey, message) {
     console.log('publishing to exchange started');
-    var ok;
-    _.forEach(Connections, function (conn){
+    // reconnecting clients sit in the dead pool, they buffer the message when they have a publish buffer. Clients
+    // that were closed or gave up are left alone, a client is published on once even if it ended up in both pools
+    var clients = _.uniqBy(Connections.concat(_.filter(DeadConnections, {state: 'reconnecting'})), 'guid');
+    var published = [];
+
+    _.forEach(clients, function (conn){
         _.forEach(conn.registeredPublishers, function(pub){
             if (pub === exchange) {
                 console.log('found publisher on this connection, beginning publishing');
-                ok = conn.publisherChannel.publish(exchange, auditkey, new Buffer(message));
-                console.log('message publish ' + ok);
+                published.push(conn.publishMessage(exchange, auditkey, new Buffer(message)));
             }
         });
     });
-    return ok;
+
+    if (!published.length) {
+        return Q.reject(new Error('No publisher registered for ' + exchange));
+    }
+    // resolved when at least one client got the message confirmed, rejected with the first error otherwise
+    return Q.allSettled(published).then(function (results) {
+        var confirmed = _.some(results, {state: 'fulfilled'});
+        if (confirmed) {
+            console.log('message publish confirmed');
+            return;
+        }
+        console.log('message publish failed ' + results[0].reason.message);
+        throw results[0].reason;
+    });
 }
 
 // INTERNAL DONE
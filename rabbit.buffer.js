@@ -0,0 +1,131 @@
+/**
+ * Module keeping the messages published while no publisher channel is available, until they can be replayed
+ * @module rabbit/buffer
+ */
+var Q = require('q');
+
+/**
+ * @type {Object}
+ * @property {function} createBuffer(PublishBufferOptions) - build a bounded publish buffer
+ * @property {Array<String>} OVERFLOW - the overflow policies
+ */
+var service = {
+    createBuffer: createBuffer,
+    OVERFLOW: ['drop-oldest', 'reject', 'block']
+};
+
+/**
+ * Publish buffer settings of a {@link RabbitConfiguration}
+ * @typedef {Object} PublishBufferOptions
+ * @property {Number} [maxMessages = 1000] - number of messages kept
+ * @property {Number} [maxBytes] - total size of the message contents kept, unlimited by default
+ * @property {String} [overflow = 'drop-oldest'] - what happens to a publish when the buffer is full: 'drop-oldest' rejects
+ * the oldest buffered message to make room, 'reject' rejects the new one, 'block' keeps the new one waiting until
+ * there is room
+ */
+
+/**
+ * @param {PublishBufferOptions|boolean} options - buffer settings, true uses the defaults
+ * @returns {PublishBuffer}
+ */
+function createBuffer(options) {
+    return new PublishBuffer(options === true ? {} : options);
+}
+
+/**
+ * Bounded first in first out list of messages waiting to be published. Every message comes with a deferred
+ * settled by whoever publishes it.
+ * @constructor
+ * @param {PublishBufferOptions} [options]
+ */
+function PublishBuffer(options) {
+    options = options || {};
+
+    if (options.overflow && service.OVERFLOW.indexOf(options.overflow) === -1) {
+        throw new Error('Unknown publish buffer overflow "' + options.overflow + '", use one of ' + service.OVERFLOW.join(', '));
+    }
+    this.maxMessages = options.maxMessages > 0 ? options.maxMessages : 1000;
+    this.maxBytes = options.maxBytes > 0 ? options.maxBytes : Infinity;
+    this.overflow = options.overflow || 'drop-oldest';
+    this.entries = [];
+    this.blocked = [];
+    this.bytes = 0;
+    this.length = 0;
+}
+
+/**
+ * Adds a message at the end of the buffer
+ * @param {Object} message - {exchange, routingKey, content, options}
+ * @returns {Promise} - settled with the outcome of the publish once the message is replayed, rejected when the message
+ * is dropped or cannot be buffered
+ */
+PublishBuffer.prototype.push = function (message) {
+    var entry = {message: message, size: message.content ? message.content.length : 0, deferred: Q.defer()};
+
+    if (entry.size > this.maxBytes) {
+        entry.deferred.reject(new Error('Message of ' + entry.size + ' bytes is larger than the publish buffer'));
+    } else if (this.blocked.length === 0 && this.fits(entry)) {
+        this.add(entry);
+    } else if (this.overflow === 'reject') {
+        entry.deferred.reject(new Error('Publish buffer is full, message to ' + message.exchange + ' rejected'));
+    } else if (this.overflow === 'block') {
+        this.blocked.push(entry);
+    } else {
+        while (!this.fits(entry)) {
+            this.remove().deferred.reject(new Error('Publish buffer is full, message to ' + message.exchange + ' dropped'));
+        }
+        this.add(entry);
+    }
+    return entry.deferred.promise;
+};
+
+/**
+ * Takes the oldest message out of the buffer, blocked messages move in as room frees up
+ * @returns {Object} - {message, deferred}, undefined when the buffer is empty
+ */
+PublishBuffer.prototype.shift = function () {
+    var entry = this.remove();
+
+    while (this.blocked.length && this.fits(this.blocked[0])) {
+        this.add(this.blocked.shift());
+    }
+    return entry;
+};
+
+/**
+ * Rejects every buffered and blocked message
+ * @param {Error} err
+ */
+PublishBuffer.prototype.clear = function (err) {
+    var entries = this.entries.concat(this.blocked);
+
+    this.entries = [];
+    this.blocked = [];
+    this.bytes = 0;
+    this.length = 0;
+    entries.forEach(function (entry) {
+        entry.deferred.reject(err);
+    });
+};
+
+PublishBuffer.prototype.fits = function (entry) {
+    return this.entries.length < this.maxMessages && this.bytes + entry.size <= this.maxBytes;
+};
+
+PublishBuffer.prototype.add = function (entry) {
+    this.entries.push(entry);
+    this.bytes += entry.size;
+    this.length = this.entries.length;
+};
+
+PublishBuffer.prototype.remove = function () {
+    var entry = this.entries.shift();
+
+    if (entry) {
+        this.bytes -= entry.size;
+        this.length = this.entries.length;
+    }
+    return entry;
+};
+
+module.exports = service;
@@ -1,5 +1,14 @@
 var amqp = require('amqplib/callback_api');
 var util = require('./rabbit.util.js');
+var reconnect = require('./rabbit.reconnect.js');
+var topology = require('./rabbit.topology.js');
+var retries = require('./rabbit.retry.js');
+var consumer = require('./rabbit.consumer.js');
+var poison = require('./rabbit.poison.js');
+var buffer = require('./rabbit.buffer.js');
+var spool = require('./rabbit.spool.js');
+var codec = require('./rabbit.codec.js');
+var compose = require('./rabbit.middleware.js').compose;
 var utl = require('util');
 var Q = require('q');
 var EventEmitter = require('events');
@@ -20,8 +29,10 @@ var logger = {};
  * Creates a new Listener instance
  * @constructor
  * @param {customLogger} [customLogger = require('./loggerService.js')] - A custom logger object
- * @param {Number} maxRetry = number of reconnection attempts before a failure event is emmited by the rabbitclient (default is 10)
- * @param {Number} intervalInSeconds = interval that it will retry in seconds
+ * @param {Number|ReconnectPolicy|ReconnectPolicyOptions} maxRetry = number of reconnection attempts before a failure event is emmited by the rabbitclient (default is 10),
+ * or a reconnect policy (see {@link module:rabbit/reconnect}) used for both connection and channel recovery. With a number
+ * a closed channel or cancelled consumer is recovered right away, then after 1 more second for every further attempt
+ * @param {Number} intervalInSeconds = interval that it will retry in seconds, ignored when a reconnect policy is passed
  * @example
  * var subscriber = require('amqplib-lite');
  *
@@ -43,6 +54,15 @@ var logger = {};
  *   logger.error("Error occurred while bootstrapping queue handlers: ", error);
  * });
  *
+ * // Exponential backoff with jitter, retrying forever
+ * let client = new RabbitClient(customLogObj, {
+ *    strategy: 'exponential',
+ *    initialDelay: 1000,
+ *    maxDelay: 60 * 1000,
+ *    jitter: 'full',
+ *    maxRetries: Infinity
+ * });
+ *
  */
 function Connect(customLogger, maxRetry, intervalInSeconds) {
 
@@ -51,23 +71,168 @@ function Connect(customLogger, maxRetry, intervalInSeconds) {
     }
 
     logger = customLogger || require('./loggerService.js');
-    this.interval = intervalInSeconds || (600 * 1000);
+
+    if (maxRetry !== null && typeof maxRetry === 'object') {
+        this.reconnectPolicy = reconnect.createPolicy(maxRetry);
+        this.channelPolicy = this.reconnectPolicy;
+    } else {
+        this.reconnectPolicy = reconnect.createPolicy({
+            strategy: 'fixed',
+            initialDelay: intervalInSeconds || (600 * 1000),
+            maxRetries: maxRetry || 10
+        });
+        // channels were always reopened right away, a single channel error must not stop a queue for the connection interval
+        this.channelPolicy = reconnect.createPolicy({
+            strategy: 'linear',
+            initialDelay: 0,
+            step: 1000,
+            maxRetries: maxRetry || 10
+        });
+    }
+
     this.guid = guid();
-    this.maxRetries = maxRetry || 10;
-    this.maxChannelRetries = maxRetry || 10;
+    this.maxRetries = this.reconnectPolicy.maxRetries;
     this.connectionAttempts = 0;
-    this.channelAttempts = 0;
+    this.connectionDelay = 0;
+    this.channelRecovery = {};
+    this.consumerRecovery = {};
+    this.publisherRecovery = {attempts: 0, delay: 0};
     this.publishExchange = {};
     this.publishChannel = {};
     this.connection = {};
+    this.currentHost = null;
+    this.hostIndex = -1;
     this.registeredHandlers = [];
     this.channels = [];
     this.registeredPublishers = [];
     this.configInternal = {};
+    this.middleware = [];
+    this.publishMiddleware = [];
+    this.pausedQueues = {};
+    this.openingHandlers = {};
+    this.publishBuffer = null;
+    this.publishSpool = null;
+    this.state = Connect.States.IDLE;
     EventEmitter.call(this);
 }
 utl.inherits(Connect, EventEmitter);
 
+/**
+ * The states a client goes through, the current one is exposed as client.state
+ * @readonly
+ * @enum {String}
+ */
+Connect.States = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    BLOCKED: 'blocked',
+    CLOSING: 'closing',
+    CLOSED: 'closed',
+    FAILED: 'failed'
+};
+
+/**
+ * Emitted every time client.state changes
+ * @event Listener#stateChange
+ * @type {Object}
+ * @property {String} from - previous state
+ * @property {String} to - new state
+ * @property {Number} attempt - number of failed connection attempts so far
+ * @property {Error} [error] - the error that caused the change, if any
+ */
+
+/**
+ * Emitted once a connection is established
+ * @event Listener#connected
+ * @type {Object}
+ * @property {RabbitHost} host - the cluster node the client is connected to
+ * @property {Number} attempt - number of failed connection attempts before this one succeeded
+ */
+
+/**
+ * Emitted when an established connection is lost
+ * @event Listener#disconnected
+ * @type {Object}
+ * @property {RabbitHost} host - the cluster node the client was connected to
+ * @property {Error} [error] - the reason the connection closed
+ */
+
+/**
+ * Emitted when a new connection attempt is scheduled
+ * @event Listener#reconnecting
+ * @type {Object}
+ * @property {Number} attempt - number of failed connection attempts so far
+ * @property {Number} delay - milliseconds before the next attempt
+ * @property {Error} [error] - the error of the last attempt
+ */
+
+/**
+ * Emitted when a handler channel or the publisher channel was opened again after it closed
+ * @event Listener#channelRecovered
+ * @type {Object}
+ * @property {String} [queue] - the queue the channel consumes from, not set for the publisher channel
+ * @property {boolean} [publisher] - true for the publisher channel
+ * @property {Number} attempt - number of channel recovery attempts
+ */
+
+/**
+ * Emitted when a handler did not finish a message within its timeoutMs, the message is nacked or retried
+ * @event Listener#handlerTimeout
+ * @type {Object}
+ * @property {String} queue - the queue of the handler
+ * @property {Object} message - the message that timed out
+ * @property {Array<Object>} messages - the messages of the batch that timed out, instead of message for batch handlers
+ * @property {Number} timeoutMs - the timeout of the handler
+ */
+
+/**
+ * Emitted when the server cancelled the consumer of a handler, because its queue was deleted or a mirrored queue
+ * failed over. The handler starts consuming again once the queue exists.
+ * @event Listener#consumerCancelled
+ * @type {Object}
+ * @property {String} queue - the queue the handler consumed from
+ */
+
+/**
+ * Emitted when the broker returned a message published with mandatory set because no queue was bound to receive it,
+ * the publish promise is rejected with an error carrying replyCode and replyText
+ * @event Listener#returned
+ * @type {Object}
+ * @property {String} exchange - exchange the message was published to
+ * @property {String} routingKey - routing key of the message
+ * @property {Number} replyCode - reason code sent by the broker, 312 (NO_ROUTE) for unroutable messages
+ * @property {String} replyText - reason sent by the broker
+ * @property {Object} message - the returned message, with content, fields and properties
+ */
+
+/**
+ * Emitted when the reconnect policy gives up on recovering a handler channel, a cancelled consumer or the publisher
+ * channel, the other handlers keep consuming
+ * @event Listener#channelFailed
+ * @type {Object}
+ * @property {String} [queue] - the queue the channel consumed from, not set for the publisher channel
+ * @property {boolean} [publisher] - true for the publisher channel
+ * @property {Number} attempt - number of channel recovery attempts
+ */
+
+/**
+ * Moves the client to a new state and emits stateChange
+ * @memberof Listener
+ * @param {String} state - one of {@link Connect.States}
+ * @param {Error} [error] - the error that caused the change
+ */
+Connect.prototype.setState = function (state, error) {
+    var previous = this.state;
+    if (previous === state) {
+        return;
+    }
+    this.state = state;
+    logger.trace('[AMQP] state changed from ' + previous + ' to ' + state);
+    this.emit('stateChange', {from: previous, to: state, attempt: this.connectionAttempts, error: error});
+};
+
 function guid() {
     function _p8(s) {
         var p = (Math.random().toString(16)+"000000000").substr(2,8);
@@ -82,9 +247,36 @@ Connect.service = require('./PoolUtils')(logger).service;
 /**
  * The configuration object that must be passed for an amqp connection string to be properly built
  * @typedef {Object} RabbitHandler
- * @property {function} handlerFunction - The callback function that messages will be returned and processed on
+ * @property {function} handlerFunction - The callback function that messages will be returned and processed on, called with the channel as this.
+ * It can return a promise (or be async): the message is acked when it resolves and nacked when it rejects or the function throws
  * @property {String} queueConfig - The queue that it will connect to ex "My.First.Queue"
  * @property {Number} messageRate - The amount of messages that can be received at a time. Once this amount of messages is ack more will come in (if available)
+ * @property {Number} timeoutMs - optional, a message still being processed after this many milliseconds is nacked (or retried) and handlerTimeout is emitted, a late ack or nack from the handler is ignored
+ * @property {boolean} manualAck - optional, never ack or nack automatically, the handler calls this.ack / this.reject itself
+ * @property {boolean} requeueOnError - optional, requeue messages nacked because the handler failed (default is true), ignored when retry is set
+ * @property {Array<Middleware>} middleware - optional, middleware run around this handler after the ones added with client.use (see {@link module:rabbit/middleware})
+ * @property {DecodeOptions|boolean} decode - optional, settings for the decoded msg.body handed to the handler, false turns decoding off (see {@link module:rabbit/codec})
+ * @property {RetryOptions|boolean} retry - optional, delayed retries through per-delay retry queues, the handler calls this.retry(msg, err) instead of this.reject(msg, true) (see {@link module:rabbit/retry})
+ * @property {DedupeOptions|boolean} dedupe - optional, ack redelivered messages that were already handled without calling the handler, keyed on properties.messageId by default (see {@link module:rabbit/dedupe})
+ * @property {BatchOptions} batch - optional, call the handler with arrays of messages instead of one message at a time (see {@link module:rabbit/consumer})
+ * @property {OrderingOptions} ordering - optional, handle messages sharing a partition key one after the other, up to a concurrency limit across keys, cannot be combined with batch (see {@link module:rabbit/ordering})
+ * @property {ConsumeOptions} consume - optional, options of the consumer started on the queue
+ * @property {PoisonOptions|boolean} poison - optional, quarantine messages delivered too many times instead of calling the handler again (see {@link module:rabbit/poison})
+ * @property {String} name - optional, name of the handler reported in the x-handler header of quarantined messages, defaults to the name of handlerFunction
+ */
+
+/**
+ * Consumer settings of a {@link RabbitHandler}
+ * @typedef {Object} ConsumeOptions
+ * @property {boolean} [exclusive = false] - no other consumer can consume from the queue while this one does
+ * @property {Number} [priority] - consumer priority (x-priority), the server delivers to higher priority consumers first
+ * @property {String} [consumerTag] - tag of the consumer, generated by the server by default
+ * @property {boolean} [noAck = false] - the server considers messages acked once delivered, nothing is acked, nacked or retried.
+ * Messages being handled when the connection is lost are gone, meant for fire-and-forget queues like telemetry
+ * @property {Object} [arguments] - consumer arguments sent as is
+ * @property {boolean} [singleActiveConsumer = false] - declare the queue with x-single-active-consumer so only one
+ * consumer receives messages at a time and the others stand by. The queue is declared as in the topology of the
+ * configuration plus the argument, durable when it is not in there, and must not exist already with other arguments
  */
 
 /**
@@ -95,34 +287,64 @@ Connect.service = require('./PoolUtils')(logger).service;
 /**
  * The configuration object that must be passed for an amqp connection string to be properly built
  * @typedef {Object} RabbitConfiguration
- * @property {String} rabbitmqserver - RabbitMqServer string IP or Domain.
- * @property {Number} rabbitmqport - RabbitMqServer Port.
+ * @property {String|Array<String|RabbitHost>} rabbitmqserver - RabbitMqServer string IP or Domain, or a list of cluster nodes ("host", "host:port" or {host, port}).
+ * @property {Number} rabbitmqport - RabbitMqServer Port, used for every node that does not specify its own.
+ * @property {String} rabbitmqhostselection - optional, 'round-robin' (default) or 'random', order in which cluster nodes are tried on each connection attempt
  * @property {String} rabbitmqusername - RabbitMqServer username.
  * @property {String} rabbitmqpassword - RabbitMqServer password.
+ * @property {RabbitTlsConfiguration} rabbitmqtls - optional, connects with amqps:// using these TLS settings (CA bundle, client cert/key, passphrase, servername, rejectUnauthorized)
+ * @property {String} rabbitmqauthmechanism - optional, 'PLAIN' (default) or 'EXTERNAL' to log in with the client certificate
  * @property {Number} rabbitheartbeat - optional, sets the client heartbeat with the server. Helps prevent TCP timeouts if rabbit server does not have heartbeat service enabled
  * @property {String} vhost - RabbitMqServer vhost.
+ * @property {PublishBufferOptions|boolean} publishBuffer - optional, keep the messages published while no publisher channel is available and replay them in order once registerPublishers opened a new one (see {@link module:rabbit/buffer})
+ * @property {PublishSpoolOptions} publishSpool - optional, append the messages that could not be published to files on disk and replay them with confirms after registerPublishers opened a channel, also after a restart (see {@link module:rabbit/spool})
+ * @property {Number} rabbitmqconfirmtimeout - optional, milliseconds a publish waits for the broker to confirm it before its promise is rejected (default is 30000)
+ * @property {Topology} topology - optional, exchanges, queues and bindings asserted on every successful connection (see {@link module:rabbit/topology})
  */
 
 /**
- * Generates and processes a single amqp connection for channels to be opened on.
+ * Generates and processes a single amqp connection for channels to be opened on. Handlers already registered, for
+ * example with addHandler before connecting, get their channels opened once it is established.
  * @memberof Listener
  * @param {RabbitHandlers} handlers - Array of callback handlers WITH configuration for those handlers, one handler per channel
  * @param {RabbitConfiguration} config - must pass a {@link RabbitConfiguration} object
+ * @fires Listener#stateChange
+ * @fires Listener#connected
+ * @fires Listener#disconnected
  */
 
 Connect.prototype.connect = function (config) {
     var context = this;
     context.configInternal = config;
+    context.closingPromise = null;
+    if (config.publishBuffer && !context.publishBuffer) {
+        context.publishBuffer = buffer.createBuffer(config.publishBuffer);
+    }
+    if (config.publishSpool && !context.publishSpool) {
+        context.publishSpool = spool.createSpool(config.publishSpool);
+    }
+    startSpoolReplay(context);
+
+    if (context.state !== Connect.States.RECONNECTING) {
+        context.setState(Connect.States.CONNECTING);
+    }
+
+    var hosts = util.getRabbitMqHosts(context.configInternal);
+    context.hostIndex = util.selectRabbitMqHost(hosts, context.configInternal.rabbitmqhostselection, context.hostIndex);
+    var host = hosts[context.hostIndex];
+    logger.trace('[AMQP] connecting to node ' + host.host + ':' + host.port);
 
-    return Q.ninvoke(amqp, "connect", util.buildRabbitMqUrl(context.configInternal)).then(function (conn, err) {
+    var socketOptions = util.buildSocketOptions(context.configInternal, host);
+    if (util.isExternalAuth(context.configInternal)) {
+        socketOptions.credentials = amqp.credentials.external();
+    }
+
+    return Q.ninvoke(amqp, "connect", util.buildRabbitMqUrl(context.configInternal, host), socketOptions).then(function (conn, err) {
 
         if (err){
             logger.error('[AMQP] caught exception');
         }
 
-        context.connectionAttempts += 1;
-        logger.info("Connection in progress...attempts: " + context.connectionAttempts);
-
         conn.on("error", function (err) {
             if (err.message !== "Connection closing") {
                 logger.error("[AMQP] conn error", err);
@@ -130,17 +352,50 @@ Connect.prototype.connect = function (config) {
             }
         });
 
+        return context.assertTopology(conn).then(function () {
+            return conn;
+        }, function (err) {
+            logger.error('[AMQP] could not assert topology: ' + err.message);
+            conn.close();
+            throw err;
+        });
+
+    }).then(function (conn) {
+
+        if (context.isClosing()) {
+            logger.info('[AMQP] Client closed while connecting, closing the new connection');
+            conn.close();
+            return;
+        }
+
+        context.connectionAttempts += 1;
+        logger.info("Connection in progress...attempts: " + context.connectionAttempts);
+
+        conn.on("blocked", function (reason) {
+            logger.warn('[AMQP] connection blocked by the server: ' + reason);
+            context.setState(Connect.States.BLOCKED);
+        });
+
+        conn.on("unblocked", function () {
+            logger.info('[AMQP] connection unblocked by the server');
+            context.setState(Connect.States.CONNECTED);
+        });
+
         conn.on("close", function (err) {
-            logger.error(err);
+            if (context.isClosing()) {
+                logger.info('[AMQP] Connection closed on request, not reconnecting');
+                Connect.ConnectionPool.clearPools(context.guid);
+                return;
+            }
 
-            logger.trace("[AMQP] reconnecting");
-            logger.info('[AMQP] Connection attempts: ' + context.connectionAttempts + ' Maximum attempts: ' + context.maxRetries);
+            logger.error(err);
+            context.emit('disconnected', {host: host, error: err});
 
             var serverDisconnect = false;
 
             if (err){
                 var substring = '320';
-                if (err.indexOf(substring) > -1){
+                if (String(err.message || err).indexOf(substring) > -1){
                     logger.trace('[AMQP] Connection has been force closed by the server');
                     serverDisconnect = true;
                 }
@@ -148,55 +403,133 @@ Connect.prototype.connect = function (config) {
 
             Connect.ConnectionPool.removeConnection(context.guid);
 
-
-            if ((context.connectionAttempts < context.maxRetries && Connect.ConnectionPool.retry) || serverDisconnect) {
-                logger.trace('[AMQP] retry?: ' + Connect.ConnectionPool.retry + ' disconnect came from server?: ' + serverDisconnect);
-                return setTimeout(function () {
-                    context.connect(config).then(function (conn) {
-                        context.registerHandlers(context.registeredHandlers);
-                        context.registerPublishers(context.registeredPublishers);
-                    })
-                }, context.interval);
-            }
-            else
-            {
-                context.emit('failure', 'failed to connect after ' + context.maxRetries + ' tries.');
-                logger.trace('[AMQP] done retrying')
-            }
+            context.connectionAttempts += 1;
+            context.retryConnection(err, serverDisconnect);
         });
 
-        logger.info("[AMQP] has successfully created a connection");
+        logger.info("[AMQP] has successfully created a connection to node " + host.host + ':' + host.port);
+        context.currentHost = host;
+        var failedAttempts = context.connectionAttempts - 1;
         context.connectionAttempts = 0;
-        context.channelAttempts = 0;
+        context.connectionDelay = 0;
+        context.resetChannelRecovery();
         Connect.ConnectionPool.removeConnection(context.guid);
         Connect.ConnectionPool.addConnection(context);
         context.connection = conn;
         logger.trace('New connection added new count : ' + Connect.ConnectionPool.Connections.length);
+        context.setState(Connect.States.CONNECTED);
+        context.emit('connected', {host: host, attempt: failedAttempts});
+        // handlers added before the connection was established start consuming now
+        if (context.registeredHandlers.length) {
+            context.registerHandlers();
+        }
         return conn;
 
     }).catch(function (err) {
 
-        context.connectionAttempts += 1;
-        logger.error("[AMQP] " + err.message);
-        logger.trace('[AMQP] Connection attempts: ' + context.connectionAttempts + ' Maximum attempts: ' + context.maxRetries);
-        if (context.connectionAttempts < context.maxRetries) {
-            logger.trace('[AMQP] attempting reconnect');
-            return setTimeout(function () {
-                context.connect(config).then(function (conn) {
-                    context.registerHandlers(context.handlers);
-                    context.registerPublishers(context.registeredPublishers);
-                })
-            }, context.interval);
+        if (context.isClosing()) {
+            logger.info('[AMQP] Client closed while connecting, not retrying: ' + err.message);
+            return;
         }
-        else
-        {
-            context.emit('failure', 'failed to connect after ' + context.maxRetries + ' tries.');
+
+        context.connectionAttempts += 1;
+        logger.error("[AMQP] " + host.host + ':' + host.port + ' ' + err.message);
+        if (!context.retryConnection(err, false)) {
             Connect.ConnectionPool.clearPools(context.guid);
             Connect.ConnectionPool.addDeadConnection(context);
         }
     });
 }
 
+/**
+ * Declares the topology of the configuration on a short lived channel, runs on every successful connection
+ * before handlers and publishers are registered
+ * @memberof Listener
+ * @param {Connection} conn - the new connection
+ * @returns {Promise} - resolved once the topology is declared, rejected if a declaration failed
+ */
+Connect.prototype.assertTopology = function (conn) {
+    var context = this;
+    var declared = context.configInternal.topology;
+
+    if (!declared) {
+        return Q();
+    }
+
+    logger.trace('[AMQP] asserting topology');
+    return Q.ninvoke(conn, 'createChannel').then(function (ch) {
+        // a failed declaration closes the channel with an error, it is reported through the rejected promise
+        ch.on('error', function () {});
+        return topology.assertTopology(ch, singleActiveTopology(context, declared)).then(function () {
+            logger.trace('[AMQP] topology asserted');
+            return Q.ninvoke(ch, 'close');
+        });
+    });
+};
+
+// the queues of singleActiveConsumer handlers get the argument here as well, both declarations of a queue must match
+function singleActiveTopology(context, declared) {
+    var singleActive = context.registeredHandlers.concat(context.handlers || []).filter(function (handler) {
+        return handler.consume && handler.consume.singleActiveConsumer;
+    }).map(function (handler) {
+        return handler.queueConfig;
+    });
+
+    if (!singleActive.length || !declared.queues) {
+        return declared;
+    }
+    return {
+        exchanges: declared.exchanges,
+        queues: declared.queues.map(function (queue) {
+            return singleActive.indexOf(queue.name) === -1 ? queue : topology.singleActiveQueue(declared, queue.name);
+        }),
+        bindings: declared.bindings
+    };
+}
+
+/**
+ * Schedules the next connection attempt according to the reconnect policy, or emits failure once the policy gives up.
+ * Handlers and publishers that were registered are registered again on the new connection.
+ * @memberof Listener
+ * @param {Error} [err] - the error that caused the connection to be lost or the attempt to fail
+ * @param {boolean} [force] - retry even if the policy has given up (used when the server forced the disconnect)
+ * @returns {boolean} - true if a reconnect was scheduled, false once the policy gave up or close() was called
+ * @fires Listener#reconnecting
+ */
+Connect.prototype.retryConnection = function (err, force) {
+    var context = this;
+    var policy = context.reconnectPolicy;
+
+    if (context.isClosing()) {
+        logger.trace('[AMQP] Client is closing, not reconnecting');
+        return false;
+    }
+
+    logger.trace('[AMQP] Connection attempts: ' + context.connectionAttempts + ' Maximum attempts: ' + policy.maxRetries);
+
+    if ((policy.shouldRetry(context.connectionAttempts) && Connect.ConnectionPool.retry) || force) {
+        context.connectionDelay = nextDelay(policy, context.connectionAttempts, context.connectionDelay);
+        logger.trace('[AMQP] reconnecting in ' + context.connectionDelay + 'ms, disconnect came from server?: ' + !!force);
+        context.setState(Connect.States.RECONNECTING, err);
+        context.emit('reconnecting', {attempt: context.connectionAttempts, delay: context.connectionDelay, error: err});
+        context.reconnectTimer = setTimeout(function () {
+            context.connect(context.configInternal).then(function (conn) {
+                if (conn) {
+                    context.registerHandlers(context.registeredHandlers.length ? context.registeredHandlers : context.handlers);
+                    context.registerPublishers(context.registeredPublishers);
+                }
+            });
+        }, context.connectionDelay);
+        return true;
+    }
+
+    context.setState(Connect.States.FAILED, err);
+    clearPublishBuffer(context, 'Gave up connecting, buffered message not published');
+    context.emit('failure', 'failed to connect after ' + context.connectionAttempts + ' tries.');
+    logger.trace('[AMQP] done retrying');
+    return false;
+};
+
 /**
  * A Channel object, part of the amqplib. Search amqplib documentation for more information
  * @typedef {Object} Channel
@@ -206,29 +539,31 @@ Connect.prototype.connect = function (config) {
  * Sets up a channel object to be used
  * @memberof Listener
  * @param {number} messageRate - number of messages that will be fetched at a time. server must receive ack before it will pass more.
- * @param {Connection} amqpConn - xxxxxx
+ * @param {String} [queue] - queue of the handler the channel is for, the channel is recovered on its own when it closes
  * @returns {Promise<Channel>} - channel object that can be used to request messages and response
  */
-Connect.prototype.setUpListener = function(messageRate) {
+Connect.prototype.setUpListener = function(messageRate, queue) {
     var context = this;
-    return Q.ninvoke(context.connection, 'createChannel').then(function (ch) {
+    var connection = context.connection;
+    return Q.ninvoke(connection, 'createChannel').then(function (ch) {
 
+        ch.queueConfig = queue;
         ch.on("error", function (err) {
             logger.error("[AMQP] channel error " + err);
         });
         ch.on("close", function () {
-            logger.error("[AMQP] Channel closed");
-            context.channelAttempts = context.channelAttempts + 1;
-            if (context.maxChannelRetries > context.channelAttempts) {
-                logger.trace('[AMQP] retry channel connection again');
-                logger.trace('[AMQP] ' + context.maxChannelRetries + ' attempts: ' + context.channelAttempts);
-                context.registerHandlers(context.registeredHandlers);
-            } else {
-                logger.info('You have exceeded the maximum channel retry, not closing channel');
-                context.connectionAttempts = context.maxRetries;
-                // retry the connection forever
-                Connect.ConnectionPool.flushPool(context.guid);
+            ch.closed = true;
+            if (context.isClosing() || ch.removed) {
+                logger.trace('[AMQP] Channel closed on request');
+                return;
+            }
 
+            logger.error("[AMQP] Channel closed" + (ch.queueConfig ? ' for ' + ch.queueConfig : ''));
+            context.channels = context.channels.filter(function (channel) {
+                return channel !== ch;
+            });
+            if (ch.queueConfig) {
+                context.recoverHandlerChannel(ch.queueConfig, connection);
             }
         });
         logger.trace("[AMQP] Channel prefetch rate set to " + messageRate);
@@ -238,28 +573,160 @@ Connect.prototype.setUpListener = function(messageRate) {
 }
 
 /**
- * This function should be fired when the main amqp connection has been fired
+ * Opens the channel of a single handler again after it closed, following the channel policy with an attempt
+ * counter of its own. The channels of the other handlers are not touched. When the whole connection was lost the
+ * reconnect registers every handler again instead.
+ * @memberof Listener
+ * @param {String} queue - queue of the handler whose channel closed
+ * @param {Connection} connection - connection the channel was opened on
+ * @fires Listener#channelRecovered
+ * @fires Listener#channelFailed
+ */
+Connect.prototype.recoverHandlerChannel = function (queue, connection) {
+    var context = this;
+    var policy = context.channelPolicy;
+    var recovery = context.channelRecovery[queue] = context.channelRecovery[queue] || {attempts: 0, delay: 0};
+
+    // the failed attempt closed its channel as well, it is already scheduled again
+    if (recovery.timer) {
+        return;
+    }
+
+    recovery.attempts += 1;
+    if (!policy.shouldRetry(recovery.attempts)) {
+        logger.error('[AMQP] giving up on the channel for ' + queue + ' after ' + recovery.attempts + ' attempts');
+        context.emit('channelFailed', {queue: queue, attempt: recovery.attempts});
+        return;
+    }
+
+    recovery.delay = nextDelay(policy, recovery.attempts, recovery.delay);
+    logger.trace('[AMQP] retry channel for ' + queue + ' in ' + recovery.delay + 'ms, attempt ' + recovery.attempts + ' of ' + policy.maxRetries);
+
+    clearTimeout(recovery.timer);
+    recovery.timer = setTimeout(function () {
+        var handler = context.registeredHandlers.filter(function (registered) {
+            return registered.queueConfig === queue;
+        })[0];
+
+        recovery.timer = null;
+        if (!handler || connection !== context.connection || !context.isConnected() || context.findHandlerChannel(queue)) {
+            logger.trace('[AMQP] channel recovery for ' + queue + ' is no longer needed');
+            return;
+        }
+
+        context.openHandlerChannel(handler).then(function () {
+            logger.info('[AMQP] channel for ' + queue + ' recovered');
+            context.emit('channelRecovered', {queue: queue, attempt: recovery.attempts});
+            recovery.attempts = 0;
+            recovery.delay = 0;
+        }).catch(function (err) {
+            logger.error('[AMQP] could not recover the channel for ' + queue + ': ' + err.message);
+            if (!context.findHandlerChannel(queue)) {
+                context.recoverHandlerChannel(queue, connection);
+            }
+        });
+    }, recovery.delay);
+};
+
+/**
+ * Cancels the pending channel recoveries and resets their attempt counters
+ * @memberof Listener
+ */
+Connect.prototype.resetChannelRecovery = function () {
+    var context = this;
+    Object.keys(context.channelRecovery).forEach(function (queue) {
+        clearTimeout(context.channelRecovery[queue].timer);
+    });
+    Object.keys(context.consumerRecovery).forEach(function (queue) {
+        clearTimeout(context.consumerRecovery[queue].timer);
+    });
+    clearTimeout(context.publisherRecovery.timer);
+    context.channelRecovery = {};
+    context.consumerRecovery = {};
+    context.publisherRecovery = {attempts: 0, delay: 0};
+};
+
+/**
+ * Called when the server cancelled the consumer of a handler channel. The channel stays open, the queue is checked
+ * on a short-lived channel following the channel policy and the handler consumes again once it exists.
+ * @memberof Listener
+ * @param {Channel} ch - the handler channel whose consumer was cancelled
+ * @fires Listener#consumerCancelled
+ * @fires Listener#channelFailed
+ */
+Connect.prototype.recoverConsumer = function (ch) {
+    var context = this;
+    var queue = ch.queueConfig;
+
+    if (ch.consumerTag) {
+        logger.warn('[AMQP] consumer for ' + queue + ' was cancelled by the server');
+        ch.consumerTag = null;
+        context.emit('consumerCancelled', {queue: queue});
+    }
+
+    var policy = context.channelPolicy;
+    var recovery = context.consumerRecovery[queue] = context.consumerRecovery[queue] || {attempts: 0, delay: 0};
+
+    recovery.attempts += 1;
+    if (!policy.shouldRetry(recovery.attempts)) {
+        logger.error('[AMQP] giving up on the consumer for ' + queue + ' after ' + recovery.attempts + ' attempts');
+        delete context.consumerRecovery[queue];
+        context.emit('channelFailed', {queue: queue, attempt: recovery.attempts});
+        return;
+    }
+
+    recovery.delay = nextDelay(policy, recovery.attempts, recovery.delay);
+    logger.trace('[AMQP] checking ' + queue + ' in ' + recovery.delay + 'ms, attempt ' + recovery.attempts + ' of ' + policy.maxRetries);
+
+    clearTimeout(recovery.timer);
+    recovery.timer = setTimeout(function () {
+        if (ch.closed || ch.removed || ch.consumerTag || !context.isConnected()) {
+            // a closed channel is recovered as a whole, a removed handler or closing client needs nothing
+            delete context.consumerRecovery[queue];
+            return;
+        }
+
+        checkQueue(context.connection, queue).then(function () {
+            if (ch.closed || ch.removed || ch.consumerTag) {
+                return;
+            }
+            if (context.pausedQueues[queue]) {
+                logger.info('[AMQP] ' + queue + ' is back but paused, not consuming');
+                return;
+            }
+            return startConsuming(ch).then(function () {
+                logger.info('[AMQP] consumer for ' + queue + ' recovered');
+            });
+        }).then(function () {
+            delete context.consumerRecovery[queue];
+        }, function (err) {
+            logger.error('[AMQP] could not consume from ' + queue + ' again: ' + err.message);
+            context.recoverConsumer(ch);
+        });
+    }, recovery.delay);
+};
+
+/**
+ * This function should be fired when the main amqp connection has been fired. Handlers that already have an open
+ * channel on the connection are skipped, so calling it again does not duplicate consumers. The handlers are merged
+ * by queue into the registered ones, handlers added with addHandler before the connection was established are kept.
  * @memberof Listener
  * @param {array} handlers - Takes in an array of confuration settings to loop through and create queue connections for
  */
 Connect.prototype.registerHandlers = function(handlers) {
 
     var context = this;
-    context.registeredHandlers = handlers || context.registeredHandlers;
+    context.registeredHandlers = mergeHandlers(context.registeredHandlers, handlers || []);
     logger.trace("[AMQP] Beginning channel connections");
 
-    Connect.ConnectionPool.addHandlerConnPool(context.guid, handlers);
+    Connect.ConnectionPool.addHandlerConnPool(context.guid, context.registeredHandlers);
 
     context.registeredHandlers.forEach(function (handler) {
-        logger.trace("[AMQP] attempting queue listener handshake for " + handler.queueConfig);
-        context.setUpListener(handler.messageRate)
-            .then(function (ch) {
-                logger.trace("[AMQP] Success handshake complete, listening on " + handler.queueConfig);
-                // ch.consume(handler.queueConfig, handler.handlerFunction.bind(ch), {noAck: false});
-                ch.consume(handler.queueConfig, handler.handlerFunction, {noAck: false});
-                ch.queueConfig = handler.queueConfig;
-                Connect.ConnectionPool.addChannel(context.guid, ch);
-            }).catch(function (err) {
+        if (context.findHandlerChannel(handler.queueConfig) || context.openingHandlers[handler.queueConfig]) {
+            logger.trace("[AMQP] " + handler.queueConfig + " already has a channel, not opening another one");
+            return;
+        }
+        context.openHandlerChannel(handler).catch(function (err) {
             if (err) {
                 logger.error("[AMQP] " + err.message);
             }
@@ -269,7 +736,377 @@ Connect.prototype.registerHandlers = function(handlers) {
 }
 
 /**
- * Used to register new channels on connections that exist, it also checks that the publishing exchange is reachable
+ * Opens the channel of a single handler, declares what it relies on and starts consuming unless the handler is paused
+ * @memberof Listener
+ * @param {RabbitHandler} handler
+ * @returns {Promise<Channel>} - the channel consuming for the handler
+ */
+Connect.prototype.openHandlerChannel = function (handler) {
+    var context = this;
+
+    try {
+        consumer.checkHandler(handler);
+    } catch (err) {
+        return Q.reject(err);
+    }
+
+    logger.trace("[AMQP] attempting queue listener handshake for " + handler.queueConfig);
+    context.openingHandlers[handler.queueConfig] = true;
+    return context.setUpListener(handler.messageRate, handler.queueConfig).then(function (ch) {
+        logger.trace("[AMQP] Success handshake complete, listening on " + handler.queueConfig);
+        consumer.trackDeliveries(ch);
+
+        return prepareHandlerChannel(ch, handler, context.configInternal.topology).then(function () {
+            ch.queueConfig = handler.queueConfig;
+            ch.handler = handler;
+            ch.onMessage = consumer.createConsumer(ch, handler, {logger: logger, client: context});
+            ch.onCancel = function () {
+                context.recoverConsumer(ch);
+            };
+            Connect.ConnectionPool.addChannel(context.guid, ch);
+
+            if (context.pausedQueues[handler.queueConfig]) {
+                logger.info('[AMQP] ' + handler.queueConfig + ' is paused, not consuming');
+                return ch;
+            }
+            return startConsuming(ch).then(function () {
+                return ch;
+            });
+        });
+    }).finally(function () {
+        delete context.openingHandlers[handler.queueConfig];
+    });
+};
+
+/**
+ * @memberof Listener
+ * @param {String} queue - queue a handler consumes from
+ * @returns {Channel|undefined} - the open channel of the handler consuming from the queue
+ */
+Connect.prototype.findHandlerChannel = function (queue) {
+    return this.channels.filter(function (ch) {
+        return ch.queueConfig === queue && !ch.closed && !ch.removed;
+    })[0];
+};
+
+/**
+ * Stops consuming from a queue by cancelling its consumer, messages being processed are still acked or rejected.
+ * The queue stays paused across automatic reconnects until resumeHandler is called.
+ * @memberof Listener
+ * @param {String} queue - queue a registered handler consumes from
+ * @returns {Promise}
+ */
+Connect.prototype.pauseHandler = function (queue) {
+    var context = this;
+    if (!isRegistered(context, queue)) {
+        return notRegistered(queue);
+    }
+
+    context.pausedQueues[queue] = true;
+    var ch = context.findHandlerChannel(queue);
+    logger.info('[AMQP] pausing ' + queue);
+    return stopConsuming(ch);
+};
+
+/**
+ * Starts consuming again from a queue paused with pauseHandler
+ * @memberof Listener
+ * @param {String} queue - queue a registered handler consumes from
+ * @returns {Promise}
+ */
+Connect.prototype.resumeHandler = function (queue) {
+    var context = this;
+    if (!isRegistered(context, queue)) {
+        return notRegistered(queue);
+    }
+
+    delete context.pausedQueues[queue];
+    var ch = context.findHandlerChannel(queue);
+    logger.info('[AMQP] resuming ' + queue);
+    if (!ch || ch.consumerTag) {
+        // without a channel the handler starts consuming when its channel is recovered
+        return Q();
+    }
+    return startConsuming(ch);
+};
+
+/**
+ * Cancels the consumer of a queue, waits for the messages being processed, closes its channel and forgets the handler
+ * so it is not registered again on reconnect. The channels of the other handlers are left untouched.
+ * @memberof Listener
+ * @param {String} queue - queue a registered handler consumes from
+ * @param {Object} [options]
+ * @param {Number} [options.timeout = 30000] - milliseconds to wait for in-flight messages before closing the channel anyway
+ * @returns {Promise}
+ */
+Connect.prototype.removeHandler = function (queue, options) {
+    var context = this;
+    options = options || {};
+    var timeout = options.timeout >= 0 ? options.timeout : (30 * 1000);
+    if (!isRegistered(context, queue)) {
+        return notRegistered(queue);
+    }
+
+    var forget = function (handler) {
+        return handler.queueConfig !== queue;
+    };
+    context.registeredHandlers = context.registeredHandlers.filter(forget);
+    if (Array.isArray(context.handlers)) {
+        context.handlers = context.handlers.filter(forget);
+    }
+    delete context.pausedQueues[queue];
+
+    var ch = context.findHandlerChannel(queue);
+    logger.info('[AMQP] removing handler for ' + queue);
+    if (!ch) {
+        return Q();
+    }
+    ch.removed = true;
+
+    return stopConsuming(ch).then(function () {
+        return consumer.waitForSettled(ch).timeout(timeout, 'Timed out after ' + timeout + 'ms waiting for in-flight messages on ' + queue);
+    }).catch(function (err) {
+        logger.warn('[AMQP] ' + err.message + ', closing anyway');
+    }).then(function () {
+        context.channels = context.channels.filter(function (channel) {
+            return channel !== ch;
+        });
+        if (!ch.closed) {
+            return Q.ninvoke(ch, 'close');
+        }
+    });
+};
+
+/**
+ * Registers one more handler without touching the others. Its channel is opened right away when the client is
+ * connected, otherwise once the connection is established.
+ * @memberof Listener
+ * @param {RabbitHandler} handler
+ * @returns {Promise<RabbitHandler>}
+ */
+Connect.prototype.addHandler = function (handler) {
+    var context = this;
+    if (isRegistered(context, handler.queueConfig)) {
+        return Q.reject(new Error('A handler is already registered for ' + handler.queueConfig));
+    }
+    try {
+        consumer.checkHandler(handler);
+    } catch (err) {
+        return Q.reject(err);
+    }
+
+    context.registeredHandlers = context.registeredHandlers.concat(handler);
+    Connect.ConnectionPool.addHandlerConnPool(context.guid, context.registeredHandlers);
+    logger.info('[AMQP] adding handler for ' + handler.queueConfig);
+
+    if (!context.isConnected()) {
+        return Q(handler);
+    }
+    return context.openHandlerChannel(handler).then(function () {
+        return handler;
+    });
+};
+
+/**
+ * Changes the settings of a registered handler on its open channel. A new messageRate is applied live by setting the
+ * prefetch and consuming again, new consume options by consuming again, messages being processed are not affected. The queue of a handler cannot be changed.
+ * @memberof Listener
+ * @param {String} queue - queue a registered handler consumes from
+ * @param {Object} changes - the {@link RabbitHandler} properties to change
+ * @returns {Promise<RabbitHandler>} - the updated handler
+ * @example
+ * client.updateHandler('Your.First.Queue', {messageRate: 50});
+ */
+Connect.prototype.updateHandler = function (queue, changes) {
+    var context = this;
+    if (!isRegistered(context, queue)) {
+        return notRegistered(queue);
+    }
+    if (changes.queueConfig && changes.queueConfig !== queue) {
+        return Q.reject(new Error('The queue of a handler cannot be changed, remove it and add a new one'));
+    }
+
+    var previous = context.registeredHandlers.filter(function (handler) {
+        return handler.queueConfig === queue;
+    })[0];
+    var updated = {};
+    Object.keys(previous).concat(Object.keys(changes)).forEach(function (key) {
+        updated[key] = changes.hasOwnProperty(key) ? changes[key] : previous[key];
+    });
+    try {
+        consumer.checkHandler(updated);
+    } catch (err) {
+        return Q.reject(err);
+    }
+    var replace = function (handler) {
+        return handler === previous ? updated : handler;
+    };
+
+    context.registeredHandlers = context.registeredHandlers.map(replace);
+    if (Array.isArray(context.handlers)) {
+        context.handlers = context.handlers.map(replace);
+    }
+    Connect.ConnectionPool.addHandlerConnPool(context.guid, context.registeredHandlers);
+
+    var ch = context.findHandlerChannel(queue);
+    if (!ch) {
+        return Q(updated);
+    }
+
+    logger.info('[AMQP] updating handler for ' + queue);
+    return prepareHandlerChannel(ch, updated, context.configInternal.topology).then(function () {
+        ch.handler = updated;
+        // the previous consumer is detached, ordered messages still running keep their key until they settle
+        ch.onMessage = consumer.createConsumer(ch, updated, {logger: logger, client: context, previous: ch.onMessage});
+
+        var rateChanged = updated.messageRate !== previous.messageRate;
+        if (!rateChanged && updated.consume === previous.consume) {
+            return;
+        }
+        logger.trace("[AMQP] Channel prefetch rate set to " + updated.messageRate);
+        return Q.ninvoke(ch, 'prefetch', updated.messageRate, false).then(function () {
+            // the prefetch and consume options only apply to consumers started after them
+            if (ch.consumerTag) {
+                return stopConsuming(ch).then(function () {
+                    return startConsuming(ch);
+                });
+            }
+        });
+    }).then(function () {
+        return updated;
+    });
+};
+
+// custom policies are capped as well, setTimeout fires right away for longer delays
+function nextDelay(policy, failures, previousDelay) {
+    return Math.min(reconnect.MAX_DELAY, policy.nextDelay(failures, previousDelay));
+}
+
+// a passed handler replaces the registered one of the same queue, the others are added at the end
+function mergeHandlers(registered, handlers) {
+    var merged = registered.map(function (current) {
+        return handlers.filter(function (handler) {
+            return handler.queueConfig === current.queueConfig;
+        })[0] || current;
+    });
+
+    handlers.forEach(function (handler) {
+        if (merged.indexOf(handler) === -1) {
+            merged.push(handler);
+        }
+    });
+    return merged;
+}
+
+function isRegistered(context, queue) {
+    return context.registeredHandlers.some(function (handler) {
+        return handler.queueConfig === queue;
+    });
+}
+
+function notRegistered(queue) {
+    return Q.reject(new Error('No handler is registered for ' + queue));
+}
+
+// a missing queue closes the channel checking it, so a short-lived one is used
+function checkQueue(connection, queue) {
+    return Q.ninvoke(connection, 'createChannel').then(function (ch) {
+        ch.on('error', function () {});
+        return Q.ninvoke(ch, 'checkQueue', queue).finally(function () {
+            ch.close(function () {});
+        });
+    });
+}
+
+function startConsuming(ch) {
+    // ch.onMessage is looked up on every delivery so updateHandler can swap it
+    var onMessage = function (msg) {
+        return ch.onMessage(msg);
+    };
+    return Q.ninvoke(ch, 'consume', ch.queueConfig, onMessage, consumeOptions(ch.handler)).then(function (ok) {
+        ch.consumerTag = ok.consumerTag;
+    });
+}
+
+function consumeOptions(handler) {
+    var settings = (handler && handler.consume) || {};
+    var options = {noAck: !!settings.noAck};
+    var args = {};
+
+    Object.keys(settings.arguments || {}).forEach(function (key) {
+        args[key] = settings.arguments[key];
+    });
+    if (typeof settings.priority === 'number') {
+        args['x-priority'] = settings.priority;
+    }
+    if (Object.keys(args).length) {
+        options.arguments = args;
+    }
+    if (settings.exclusive) {
+        options.exclusive = true;
+    }
+    if (settings.consumerTag) {
+        options.consumerTag = settings.consumerTag;
+    }
+    return options;
+}
+
+function stopConsuming(ch) {
+    if (!ch || !ch.consumerTag || ch.closed) {
+        return Q();
+    }
+    var consumerTag = ch.consumerTag;
+    ch.consumerTag = null;
+    return Q.ninvoke(ch, 'cancel', consumerTag);
+}
+
+// declares the queues a handler relies on besides its own and adds the helpers it can call through this, declared is
+// the topology of the configuration
+function prepareHandlerChannel(ch, handler, declared) {
+    var queue = handler.queueConfig;
+    var retry = handler.retry ? retries.createRetry(queue, handler.retry) : null;
+    var deadLetter = !!handler.decode && handler.decode.onError === 'deadLetter';
+    var parkingQueue = retry ? retry.parkingQueue : (queue + '.parking');
+    var declarations = [];
+
+    delete ch.retry;
+    delete ch.park;
+
+    if (retry) {
+        ch.retry = function (msg, error) {
+            var outcome = retry.retry(ch, msg, error);
+            logger.trace('[AMQP] message ' + outcome + ' from ' + queue);
+            return outcome;
+        };
+        declarations.push(retry.assert(ch));
+    }
+
+    if (retry || deadLetter) {
+        ch.park = function (msg, error) {
+            logger.trace('[AMQP] message parked from ' + queue + ' in ' + parkingQueue);
+            return retries.park(ch, msg, parkingQueue, queue, error);
+        };
+    }
+
+    if (deadLetter && !retry) {
+        declarations.push(Q.ninvoke(ch, 'assertQueue', parkingQueue, {durable: true}));
+    }
+
+    if (handler.poison) {
+        declarations.push(poison.createDetector(queue, handler.poison).assert(ch));
+    }
+
+    if (handler.consume && handler.consume.singleActiveConsumer) {
+        declarations.push(Q.ninvoke(ch, 'assertQueue', queue, topology.queueOptions(topology.singleActiveQueue(declared, queue))));
+    }
+
+    return Q.all(declarations);
+}
+
+/**
+ * Used to register new channels on connections that exist. The publisher channel is a confirm channel, every publish
+ * waits for the broker to ack it. The publishing exchanges are only asserted when they are declared in the topology
+ * section of the {@link RabbitConfiguration}
  * @param config
  * @param amqpConn
  */
@@ -279,15 +1116,670 @@ Connect.prototype.registerPublishers = function(config){
     logger.trace("[AMQP] Tieing publishers to this connection - GUID:" + context.guid);
     context.registeredPublishers = config || context.registeredPublishers;
 
-    context.connection.createChannel(function(err, ch) {
-        if (err) {
-            logger.error('[AMQP] no was properly opened for publishers on connection');
-        } else {
-            logger.trace('[AMQP] Channel was created and added to publishers connection');
-            Connect.ConnectionPool.addPublisherConnections(context.guid, context.registeredPublishers, ch);
+    context.openPublisherChannel().catch(function (err) {
+        logger.error('[AMQP] no was properly opened for publishers on connection: ' + err.message);
+    });
+}
+
+/**
+ * Opens the confirm channel publishes go through, then replays the publish buffer and the spool on it. The channel
+ * is opened again on its own when the broker closes it, a publish to a missing exchange for example.
+ * @memberof Listener
+ * @returns {Promise<Channel>} - the publisher channel
+ */
+Connect.prototype.openPublisherChannel = function () {
+    var context = this;
+    var connection = context.connection;
+
+    return Q.ninvoke(connection, 'createConfirmChannel').then(function (ch) {
+        logger.trace('[AMQP] Channel was created and added to publishers connection');
+        // without a listener amqplib treats a channel error as a connection error and closes every channel
+        ch.on('error', function (err) {
+            logger.error('[AMQP] publisher channel error ' + err);
+        });
+        trackWrites(ch);
+        trackConfirms(ch);
+        trackReturns(ch, context);
+        ch.on('close', function () {
+            if (context.isClosing() || connection !== context.connection) {
+                return;
+            }
+            logger.error('[AMQP] Publisher channel closed');
+            context.recoverPublisherChannel(connection);
+        });
+        Connect.ConnectionPool.addPublisherConnections(context.guid, context.registeredPublishers, ch);
+        context.flushPublishBuffer();
+        context.replaySpool();
+        return ch;
+    });
+};
+
+/**
+ * Opens the publisher channel again after it closed while the connection stayed up, following the channel policy
+ * with an attempt counter of its own. Publishes made meanwhile are buffered or spooled when configured.
+ * @memberof Listener
+ * @param {Connection} connection - connection the channel was opened on
+ * @fires Listener#channelRecovered
+ * @fires Listener#channelFailed
+ */
+Connect.prototype.recoverPublisherChannel = function (connection) {
+    var context = this;
+    var policy = context.channelPolicy;
+    var recovery = context.publisherRecovery;
+
+    if (recovery.timer) {
+        return;
+    }
+
+    recovery.attempts += 1;
+    if (!policy.shouldRetry(recovery.attempts)) {
+        logger.error('[AMQP] giving up on the publisher channel after ' + recovery.attempts + ' attempts');
+        context.emit('channelFailed', {publisher: true, attempt: recovery.attempts});
+        return;
+    }
+
+    recovery.delay = nextDelay(policy, recovery.attempts, recovery.delay);
+    logger.trace('[AMQP] retry publisher channel in ' + recovery.delay + 'ms, attempt ' + recovery.attempts + ' of ' + policy.maxRetries);
+
+    recovery.timer = setTimeout(function () {
+        var ch = context.publisherChannel;
+
+        recovery.timer = null;
+        if (connection !== context.connection || !context.isConnected() || (ch && !ch.closed)) {
+            logger.trace('[AMQP] publisher channel recovery is no longer needed');
+            return;
         }
+
+        context.openPublisherChannel().then(function () {
+            logger.info('[AMQP] publisher channel recovered');
+            context.emit('channelRecovered', {publisher: true, attempt: recovery.attempts});
+            recovery.attempts = 0;
+            recovery.delay = 0;
+        }).catch(function (err) {
+            logger.error('[AMQP] could not recover the publisher channel: ' + err.message);
+            context.recoverPublisherChannel(connection);
+        });
+    }, recovery.delay);
+};
+
+
+/**
+ * Adds a middleware running around every message delivered to the handlers of this client, before the handler's own
+ * middleware. The context holds client, channel, queue, handler, message and state.
+ * @memberof Listener
+ * @param {Middleware} fn - function(ctx, next)
+ * @returns {Listener} - the client, for chaining
+ * @example
+ * client.use(function (ctx, next) {
+ *     var start = Date.now();
+ *     return next().then(function () {
+ *         logger.info(ctx.queue + ' handled in ' + (Date.now() - start) + 'ms');
+ *     }, function (err) {
+ *         logger.error(ctx.queue + ' failed', err);
+ *         throw err;
+ *     });
+ * });
+ */
+Connect.prototype.use = function (fn) {
+    compose([fn]);
+    this.middleware.push(fn);
+    return this;
+};
+
+/**
+ * Adds a middleware running around every message published through this client. The context holds client, exchange,
+ * routingKey, content, options and state, changes made to them are used for the publish.
+ * @memberof Listener
+ * @param {Middleware} fn - function(ctx, next)
+ * @returns {Listener} - the client, for chaining
+ * @example
+ * client.usePublish(function (ctx, next) {
+ *     ctx.options.headers = ctx.options.headers || {};
+ *     ctx.options.headers.tenant = currentTenant();
+ *     return next();
+ * });
+ */
+Connect.prototype.usePublish = function (fn) {
+    compose([fn]);
+    this.publishMiddleware.push(fn);
+    return this;
+};
+
+/**
+ * Publishes a message on the publisher channel of this client through the publish middleware and waits for the
+ * broker to confirm it. The wait is bounded by rabbitmqconfirmtimeout of the {@link RabbitConfiguration}.
+ * With publishBuffer configured a message published while no publisher channel is available, or while buffered
+ * messages are still being replayed, is buffered and published once registerPublishers opened a channel.
+ * With publishSpool configured a message that could not be published (no channel, nack, channel closed, confirm
+ * timeout or full buffer) is appended to the spool instead and the publish resolves once it is written.
+ * @memberof Listener
+ * @param {String} exchange - exchange to publish to
+ * @param {String} routingKey - routing key of the message
+ * @param {Buffer} content - content of the message
+ * @param {Object} [options] - amqplib publish options (headers, contentType, persistent...)
+ * @returns {Promise} - resolved when the broker acks the message, rejected when it nacks it, the channel closes
+ * before the confirm arrives or the confirm timeout expires
+ * @example
+ * client.publishMessage('Your.Exchange', 'order.created', new Buffer(JSON.stringify(order))).then(function () {
+ *     logger.info('order stored by the broker');
+ * }, function (err) {
+ *     logger.error('order may be lost: ' + err.message);
+ * });
+ */
+Connect.prototype.publishMessage = function (exchange, routingKey, content, options) {
+    var context = this;
+    var ctx = {client: context, exchange: exchange, routingKey: routingKey, content: content, options: options || {}, state: {}};
+
+    return compose(context.publishMiddleware)(ctx, function () {
+        var message = {exchange: ctx.exchange, routingKey: ctx.routingKey, content: ctx.content, options: ctx.options};
+        var published = Q.fcall(function () {
+            var ch = context.publisherChannel;
+            var available = ch && !ch.closed;
+
+            if (context.publishBuffer && canBuffer(context) && (!available || context.publishBuffer.length)) {
+                logger.trace('[AMQP] buffering message to ' + ctx.exchange + ', ' + context.publishBuffer.length + ' already waiting');
+                return context.publishBuffer.push(message);
+            }
+            if (!available) {
+                throw new Error('No publisher channel available to publish to ' + ctx.exchange);
+            }
+            return publishConfirmed(ch, message, confirmTimeout(context));
+        });
+
+        if (!context.publishSpool) {
+            return published;
+        }
+        return published.catch(function (err) {
+            // publishing a returned message again would only get it returned again
+            if (err.replyCode) {
+                throw err;
+            }
+            spoolMessage(context, message, err);
+        });
+    });
+};
+
+/**
+ * Options of {@link Listener#publish} and {@link Listener#sendToQueue}, any other amqplib publish option (priority,
+ * correlationId, replyTo, type, appId...) is passed through
+ * @typedef {Object} PublishOptions
+ * @property {String} [contentType] - defaults to application/json for objects, text/plain for strings and
+ * application/octet-stream for buffers
+ * @property {String} [messageId] - a new unique id by default
+ * @property {Number} [timestamp] - seconds since the epoch, now by default
+ * @property {Object} [headers]
+ * @property {boolean} [persistent = true] - the broker writes the message to disk in durable queues
+ * @property {Number|String} [expiration] - milliseconds the message can wait in a queue
+ * @property {boolean} [mandatory = false] - the broker returns the message when no queue receives it, the publish is rejected and returned is emitted
+ */
+
+/**
+ * Serializes a payload and publishes it on the publisher channel of this client, see {@link Listener#publishMessage}
+ * for the publish middleware, confirms, buffering and spooling
+ * @memberof Listener
+ * @param {String} exchange - exchange to publish to
+ * @param {String} routingKey - routing key of the message
+ * @param {*} payload - object or array (sent as JSON), string or Buffer
+ * @param {PublishOptions} [options]
+ * @returns {Promise<String>} - resolved with the messageId once the broker confirmed the message
+ * @example
+ * client.publish('Events.Status.Exchange', 'order.created', {orderId: 42}, {headers: {tenant: 'acme'}, expiration: 60000})
+ *     .then(function (messageId) {
+ *         logger.info('published ' + messageId);
+ *     });
+ */
+Connect.prototype.publish = function (exchange, routingKey, payload, options) {
+    var context = this;
+    var publishOptions = {};
+    var encoded;
+
+    Object.keys(options || {}).forEach(function (key) {
+        publishOptions[key] = options[key];
     });
+    try {
+        encoded = codec.encode(payload, publishOptions.contentType);
+    } catch (err) {
+        return Q.reject(err);
+    }
+
+    publishOptions.contentType = encoded.contentType;
+    publishOptions.messageId = publishOptions.messageId || guid();
+    publishOptions.timestamp = publishOptions.timestamp || Math.floor(Date.now() / 1000);
+    publishOptions.headers = publishOptions.headers || {};
+    publishOptions.persistent = publishOptions.persistent !== false;
+    if (publishOptions.expiration !== undefined) {
+        publishOptions.expiration = String(publishOptions.expiration);
+    }
+
+    return context.publishMessage(exchange, routingKey, encoded.content, publishOptions).then(function () {
+        return publishOptions.messageId;
+    });
+};
+
+/**
+ * Serializes a payload and sends it straight to a queue through the default exchange, see {@link Listener#publish}
+ * @memberof Listener
+ * @param {String} queue - queue to send to
+ * @param {*} payload - object or array (sent as JSON), string or Buffer
+ * @param {PublishOptions} [options]
+ * @returns {Promise<String>} - resolved with the messageId once the broker confirmed the message
+ * @example
+ * client.sendToQueue('Your.First.Queue', {employee: 'John'});
+ */
+Connect.prototype.sendToQueue = function (queue, payload, options) {
+    return this.publish('', queue, payload, options);
+};
+
+/**
+ * Publishes the buffered messages in order on the publisher channel, called by registerPublishers once the channel
+ * is open. Replaying stops when the channel closes and waits whenever its write buffer is full.
+ * @memberof Listener
+ */
+Connect.prototype.flushPublishBuffer = function () {
+    var context = this;
+    var pending = context.publishBuffer;
+
+    if (!pending || !pending.length || context.flushingPublishBuffer) {
+        return;
+    }
+    logger.info('[AMQP] replaying ' + pending.length + ' buffered messages');
+    context.flushingPublishBuffer = true;
+
+    (function next() {
+        var ch = context.publisherChannel;
+
+        while (pending.length && ch && !ch.closed && !ch.writeBlocked) {
+            var entry = pending.shift();
+            publishConfirmed(ch, entry.message, confirmTimeout(context)).then(entry.deferred.resolve, entry.deferred.reject);
+        }
+        if (pending.length && ch && !ch.closed) {
+            return waitForWrites(ch).then(next);
+        }
+        context.flushingPublishBuffer = false;
+    })();
+};
+
+/**
+ * Replays the spooled messages with confirms on the publisher channel, called by registerPublishers once the channel
+ * is open and every replayIntervalMs of the spool while connected. Spool files are replayed oldest first and deleted once replayed, messages the broker did not confirm are
+ * appended to the spool again for the next replay. Messages published meanwhile are not held back by the replay.
+ * @memberof Listener
+ * @returns {Promise} - resolved once the spool files present at the start were replayed or the channel closed
+ */
+Connect.prototype.replaySpool = function () {
+    var context = this;
+    var spooled = context.publishSpool;
+    var files;
+
+    if (!spooled || context.replayingSpool) {
+        return Q();
+    }
+    try {
+        spooled.seal();
+        files = spooled.files();
+    } catch (err) {
+        logger.error('[AMQP] could not read the publish spool: ' + err.message);
+        return Q();
+    }
+    if (!files.length) {
+        return Q();
+    }
+
+    logger.info('[AMQP] replaying ' + files.length + ' spool files');
+    context.replayingSpool = true;
+    return files.reduce(function (previous, file) {
+        return previous.then(function () {
+            return replaySpoolFile(context, file);
+        });
+    }, Q()).catch(function (err) {
+        logger.error('[AMQP] spool replay stopped: ' + err.message);
+    }).finally(function () {
+        context.replayingSpool = false;
+    });
+};
+
+/**
+ * Gracefully shuts the client down: cancels every consumer registered by registerHandlers, waits for the messages
+ * being processed to be acked or rejected and for pending publisher writes and confirms, then closes the channels and the connection
+ * without reconnecting.
+ * @memberof Listener
+ * @param {Object} [options]
+ * @param {Number} [options.timeout = 30000] - milliseconds to wait for in-flight messages, the channels are closed anyway once it expires
+ * @returns {Promise} - resolved once the connection is closed
+ * @example
+ * process.on('SIGTERM', function () {
+ *     client.close({timeout: 10000}).then(function () {
+ *         process.exit(0);
+ *     });
+ * });
+ */
+Connect.prototype.close = function (options) {
+    var context = this;
+    options = options || {};
+    var timeout = options.timeout >= 0 ? options.timeout : (30 * 1000);
+
+    if (context.closingPromise) {
+        return context.closingPromise;
+    }
+
+    clearTimeout(context.reconnectTimer);
+    context.resetChannelRecovery();
+    var connected = context.isConnected();
+    context.setState(Connect.States.CLOSING);
+
+    if (!connected) {
+        context.closingPromise = Q().then(function () {
+            clearPublishBuffer(context, 'Client closed before the buffered message was published');
+            closeSpool(context);
+            Connect.ConnectionPool.clearPools(context.guid);
+            context.setState(Connect.States.CLOSED);
+        });
+        return context.closingPromise;
+    }
+
+    var handlerChannels = context.channels.filter(function (ch) {
+        return !ch.closed;
+    });
+    var publisherChannel = (context.publisherChannel && !context.publisherChannel.closed) ? context.publisherChannel : null;
+
+    logger.info('[AMQP] Closing, cancelling ' + handlerChannels.length + ' consumers');
+
+    context.closingPromise = Q.all(handlerChannels.map(function (ch) {
+        if (!ch.consumerTag) {
+            return Q();
+        }
+        return Q.ninvoke(ch, 'cancel', ch.consumerTag).catch(function (err) {
+            logger.warn('[AMQP] could not cancel consumer on ' + ch.queueConfig + ': ' + err.message);
+        });
+    })).then(function () {
+        var pending = handlerChannels.map(consumer.waitForSettled);
+        pending.push(waitForWrites(publisherChannel));
+        return Q.all(pending).timeout(timeout, 'Timed out after ' + timeout + 'ms waiting for in-flight messages');
+    }).catch(function (err) {
+        logger.warn('[AMQP] ' + err.message + ', closing anyway');
+    }).then(function () {
+        var channels = publisherChannel ? handlerChannels.concat(publisherChannel) : handlerChannels;
+        return Q.all(channels.map(function (ch) {
+            if (ch.closed) {
+                return Q();
+            }
+            return Q.ninvoke(ch, 'close').catch(function (err) {
+                logger.warn('[AMQP] could not close channel: ' + err.message);
+            });
+        }));
+    }).then(function () {
+        return Q.ninvoke(context.connection, 'close').catch(function (err) {
+            logger.warn('[AMQP] could not close connection: ' + err.message);
+        });
+    }).then(function () {
+        logger.info('[AMQP] Connection closed');
+        clearPublishBuffer(context, 'Client closed before the buffered message was published');
+        closeSpool(context);
+        Connect.ConnectionPool.clearPools(context.guid);
+        context.setState(Connect.States.CLOSED);
+    });
+
+    return context.closingPromise;
+};
+
+/**
+ * @memberof Listener
+ * @returns {boolean} - true while the client has a connection channels can be opened on
+ */
+Connect.prototype.isConnected = function () {
+    return this.state === Connect.States.CONNECTED || this.state === Connect.States.BLOCKED;
+};
+
+/**
+ * @memberof Listener
+ * @returns {boolean} - true once close() has been called
+ */
+Connect.prototype.isClosing = function () {
+    return this.state === Connect.States.CLOSING || this.state === Connect.States.CLOSED;
+};
+
+// remembers when the channel write buffer is full so close() can wait for it to drain
+function trackWrites(ch) {
+    var publish = ch.publish;
+    ch.writeBlocked = false;
+    ch.publish = function () {
+        var ok = publish.apply(ch, arguments);
+        ch.writeBlocked = !ok;
+        return ok;
+    };
+    ch.on('drain', function () {
+        ch.writeBlocked = false;
+    });
+    ch.on('close', function () {
+        ch.closed = true;
+    });
+}
+
+// buffered messages go to the spool when there is one, they are rejected otherwise
+function clearPublishBuffer(context, reason) {
+    var pending = context.publishBuffer;
+    var entry;
+
+    if (!pending || !pending.length) {
+        return;
+    }
+    if (!context.publishSpool) {
+        logger.warn('[AMQP] dropping ' + pending.length + ' buffered messages: ' + reason);
+        return pending.clear(new Error(reason));
+    }
+    while ((entry = pending.shift())) {
+        try {
+            spoolMessage(context, entry.message, new Error(reason));
+            entry.deferred.resolve();
+        } catch (err) {
+            entry.deferred.reject(err);
+        }
+    }
+}
+
+// throws the publish error when the message cannot be written to the spool either
+function spoolMessage(context, message, err) {
+    try {
+        context.publishSpool.append(message);
+    } catch (spoolErr) {
+        logger.error('[AMQP] could not spool message to ' + message.exchange + ': ' + spoolErr.message);
+        throw err;
+    }
+    logger.warn('[AMQP] spooled message to ' + message.exchange + ' on disk: ' + err.message);
+}
+
+// messages spooled while connected are replayed every replayIntervalMs, not only on the next reconnect
+function startSpoolReplay(context) {
+    var spooled = context.publishSpool;
+
+    if (!spooled || !spooled.replayIntervalMs || context.spoolReplayTimer) {
+        return;
+    }
+    context.spoolReplayTimer = setInterval(function () {
+        var ch = context.publisherChannel;
+        if (ch && !ch.closed && context.isConnected()) {
+            context.replaySpool();
+        }
+    }, spooled.replayIntervalMs);
+    // the replay must not keep the process alive
+    if (context.spoolReplayTimer.unref) {
+        context.spoolReplayTimer.unref();
+    }
+}
+
+function closeSpool(context) {
+    clearInterval(context.spoolReplayTimer);
+    context.spoolReplayTimer = null;
+    if (!context.publishSpool) {
+        return;
+    }
+    try {
+        context.publishSpool.close();
+    } catch (err) {
+        logger.error('[AMQP] could not close the publish spool: ' + err.message);
+    }
+}
+
+function replaySpoolFile(context, file) {
+    var spooled = context.publishSpool;
+    var ch = context.publisherChannel;
+
+    if (!ch || ch.closed) {
+        return Q.reject(new Error('publisher channel closed'));
+    }
+
+    var messages = spooled.read(file, function (line, err) {
+        logger.warn('[AMQP] skipping unreadable line ' + line + ' of ' + file + ': ' + err.message);
+    });
+    var results = [];
+
+    // a chunk is published while the channel takes writes, the next one once it is confirmed and the channel drained,
+    // so a large file does not run into confirm timeouts
+    function next() {
+        var chunk = [];
+
+        if (ch.closed) {
+            messages.slice(results.length).forEach(function () {
+                results.push({state: 'rejected', reason: new Error('Publisher channel closed during the spool replay')});
+            });
+            return Q(results);
+        }
+        while (results.length + chunk.length < messages.length && chunk.length < spooled.replayChunkSize && !ch.writeBlocked) {
+            chunk.push(publishConfirmed(ch, messages[results.length + chunk.length], confirmTimeout(context)));
+        }
+        return Q.allSettled(chunk).then(function (settled) {
+            results = results.concat(settled);
+            if (results.length >= messages.length) {
+                return results;
+            }
+            return waitForWrites(ch).then(next);
+        });
+    }
+
+    return next().then(function (results) {
+        var failed = messages.filter(function (message, index) {
+            return results[index].state === 'rejected' && !results[index].reason.replyCode;
+        });
+        var returned = messages.filter(function (message, index) {
+            return results[index].state === 'rejected' && results[index].reason.replyCode;
+        });
+
+        failed.forEach(function (message) {
+            spooled.append(message);
+        });
+        spooled.flush();
+        spooled.remove(file);
+        logger.info('[AMQP] replayed ' + (messages.length - failed.length - returned.length) + ' spooled messages from ' + file +
+            (failed.length ? ', ' + failed.length + ' spooled again' : '') +
+            (returned.length ? ', ' + returned.length + ' returned by the broker and dropped' : ''));
+    });
+}
+
+function canBuffer(context) {
+    return !context.isClosing() && context.state !== Connect.States.FAILED;
+}
+
+function confirmTimeout(context) {
+    return context.configInternal.rabbitmqconfirmtimeout > 0 ? context.configInternal.rabbitmqconfirmtimeout : (30 * 1000);
 }
 
+// pending confirms are rejected when the channel closes, amqplib never calls their callbacks then
+function trackConfirms(ch) {
+    ch.pendingConfirms = {};
+    ch.confirmCount = 0;
+    ch.on('close', function () {
+        Object.keys(ch.pendingConfirms).forEach(function (id) {
+            ch.pendingConfirms[id].finish(new Error('Publisher channel closed before the broker confirmed the message'));
+        });
+    });
+}
+
+// the broker returns an unroutable mandatory message before confirming it, the oldest pending publish matching it is
+// rejected right away
+function trackReturns(ch, context) {
+    ch.on('return', function (msg) {
+        var fields = msg.fields;
+        var err = new Error('Message to ' + (fields.exchange || 'the default exchange') + ' with routing key ' + fields.routingKey +
+            ' was returned: ' + fields.replyCode + ' ' + fields.replyText);
+        var id = Object.keys(ch.pendingConfirms).filter(function (pendingId) {
+            var message = ch.pendingConfirms[pendingId].message;
+            return !!message.options.mandatory && message.exchange === fields.exchange &&
+                message.routingKey === fields.routingKey && bufferEquals(message.content, msg.content);
+        })[0];
+
+        err.replyCode = fields.replyCode;
+        err.replyText = fields.replyText;
+        logger.warn('[AMQP] ' + err.message);
+        context.emit('returned', {
+            exchange: fields.exchange,
+            routingKey: fields.routingKey,
+            replyCode: fields.replyCode,
+            replyText: fields.replyText,
+            message: msg
+        });
+        if (id) {
+            ch.pendingConfirms[id].finish(err);
+        }
+    });
+}
+
+function bufferEquals(a, b) {
+    return Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.length === b.length && a.toString('binary') === b.toString('binary');
+}
+
+function publishConfirmed(ch, message, timeout) {
+    return Q.Promise(function (resolve, reject) {
+        var id = ++ch.confirmCount;
+        var timer = setTimeout(function () {
+            finish(new Error('Timed out after ' + timeout + 'ms waiting for the broker to confirm a message to ' + message.exchange));
+        }, timeout);
+
+        function finish(err) {
+            if (!ch.pendingConfirms[id]) {
+                return;
+            }
+            delete ch.pendingConfirms[id];
+            clearTimeout(timer);
+            ch.emit('confirmed');
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        }
+
+        ch.pendingConfirms[id] = {message: message, finish: finish};
+        try {
+            ch.publish(message.exchange, message.routingKey, message.content, message.options, function (err) {
+                finish(err ? new Error('The broker nacked the message published to ' + message.exchange) : null);
+            });
+        } catch (err) {
+            finish(err);
+        }
+    });
+}
+
+function waitForWrites(ch) {
+    function settled() {
+        return !ch || ch.closed || (!ch.writeBlocked && !Object.keys(ch.pendingConfirms || {}).length);
+    }
+
+    if (settled()) {
+        return Q();
+    }
+    return Q.Promise(function (resolve) {
+        function check() {
+            if (settled()) {
+                ch.removeListener('drain', check);
+                ch.removeListener('confirmed', check);
+                ch.removeListener('close', check);
+                resolve();
+            }
+        }
+        ch.on('drain', check);
+        ch.on('confirmed', check);
+        ch.on('close', check);
+    });
+}
 
 module.exports = Connect;
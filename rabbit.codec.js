@@ -0,0 +1,139 @@
+/**
+ * Module decoding message payloads based on their contentType and contentEncoding properties
+ * @module rabbit/codec
+ */
+var zlib = require('zlib');
+var util = require('./rabbit.util.js');
+
+/**
+ * @type {Object}
+ * @property {function} decode(Object, DecodeOptions) - decode the content of a delivered message
+ * @property {function} encode(*, String) - serialize a payload to publish
+ */
+var service = {
+    decode: decode,
+    encode: encode
+};
+
+/**
+ * Decoding settings of a {@link RabbitHandler}
+ * @typedef {Object} DecodeOptions
+ * @property {String} [onError = 'pass'] - what happens to a message that cannot be decoded: 'pass' hands it to the handler
+ * with msg.decodeError set, 'reject' rejects it without requeue (the queue's dead letter exchange applies), 'deadLetter'
+ * moves it to the parking queue
+ * @property {boolean} [cleanData = false] - replace "$type" by "type" before parsing JSON (see {@link module:rabbit/util})
+ * @property {String} [defaultContentType] - content type assumed when a message has none, by default JSON is tried then text
+ */
+
+/**
+ * Decodes the content of a message. JSON content types (application/json, application/*+json) are parsed, text/*
+ * is returned as a string in the charset of the content type, anything else is returned as the raw Buffer.
+ * gzip and deflate content encodings are inflated first.
+ * @param {Object} msg - the delivered message
+ * @param {DecodeOptions} [options]
+ * @returns {*} - the decoded body
+ * @throws {Error} - when the encoding is unknown or the content does not match its content type
+ * @example
+ *
+ * var codec = require('rabbit.codec.js');
+ *
+ * var body = codec.decode({
+ *     content: new Buffer('{"employee":"John"}'),
+ *     properties: {contentType: 'application/json'}
+ * });
+ * // {employee: 'John'}
+ */
+function decode(msg, options) {
+    options = options || {};
+
+    var properties = msg.properties || {};
+    var content = inflate(msg.content, properties.contentEncoding);
+    var contentType = parseContentType(properties.contentType || options.defaultContentType);
+
+    if (!contentType.type) {
+        var text = content.toString('utf8');
+        return util.validateJson(text) ? parseJson(text, options) : text;
+    }
+    if (contentType.type === 'application/json' || /\+json$/.test(contentType.type)) {
+        return parseJson(content.toString(toBufferEncoding(contentType.charset)), options);
+    }
+    if (contentType.type.indexOf('text/') === 0) {
+        return content.toString(toBufferEncoding(contentType.charset));
+    }
+    return content;
+}
+
+/**
+ * Serializes a payload to publish. Buffers are sent as they are, strings as text and anything else as JSON.
+ * @param {*} payload - what to publish
+ * @param {String} [contentType] - content type to use instead of the one matching the payload
+ * @returns {{content: Buffer, contentType: String}}
+ * @example
+ *
+ * var codec = require('rabbit.codec.js');
+ *
+ * codec.encode({employee: 'John'});
+ * // {content: <Buffer 7b 22 65 ...>, contentType: 'application/json'}
+ */
+function encode(payload, contentType) {
+    if (Buffer.isBuffer(payload)) {
+        return {content: payload, contentType: contentType || 'application/octet-stream'};
+    }
+    if (typeof payload === 'string') {
+        return {content: new Buffer(payload, 'utf8'), contentType: contentType || 'text/plain; charset=utf-8'};
+    }
+    if (payload === undefined) {
+        throw new Error('Cannot publish an undefined payload');
+    }
+    return {content: new Buffer(JSON.stringify(payload), 'utf8'), contentType: contentType || 'application/json'};
+}
+
+function inflate(content, contentEncoding) {
+    var encoding = String(contentEncoding || '').toLowerCase();
+
+    if (!encoding || encoding === 'identity' || encoding === 'utf-8' || encoding === 'utf8') {
+        return content;
+    }
+    if (encoding === 'gzip') {
+        return zlib.gunzipSync(content);
+    }
+    if (encoding === 'deflate') {
+        return zlib.inflateSync(content);
+    }
+    throw new Error('Unsupported content encoding "' + contentEncoding + '"');
+}
+
+function parseJson(text, options) {
+    if (options.cleanData) {
+        text = util.cleanData(text);
+    }
+    return JSON.parse(text);
+}
+
+function parseContentType(contentType) {
+    var parts = String(contentType || '').split(';');
+    var charset = /charset\s*=\s*"?([^";]+)"?/i.exec(contentType || '');
+    return {
+        type: parts[0].trim().toLowerCase(),
+        charset: charset ? charset[1].toLowerCase() : 'utf-8'
+    };
+}
+
+function toBufferEncoding(charset) {
+    var encodings = {
+        'utf-8': 'utf8',
+        'utf8': 'utf8',
+        'us-ascii': 'ascii',
+        'ascii': 'ascii',
+        'iso-8859-1': 'binary',
+        'latin1': 'binary',
+        'utf-16le': 'utf16le',
+        'ucs-2': 'ucs2'
+    };
+    if (!encodings[charset]) {
+        throw new Error('Unsupported charset "' + charset + '"');
+    }
+    return encodings[charset];
+}
+
+module.exports = service;
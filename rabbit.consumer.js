@@ -0,0 +1,551 @@
+/**
+ * Module building the consume callback of a {@link RabbitHandler} and keeping track of the deliveries it is processing
+ * @module rabbit/consumer
+ */
+var Q = require('q');
+var codec = require('./rabbit.codec.js');
+var dedupe = require('./rabbit.dedupe.js');
+var ordering = require('./rabbit.ordering.js');
+var poison = require('./rabbit.poison.js');
+var compose = require('./rabbit.middleware.js').compose;
+
+/**
+ * @type {Object}
+ * @property {function} createConsumer(Channel, RabbitHandler, Object) - build the function handed to ch.consume
+ * @property {function} checkHandler(RabbitHandler) - throw when the settings of a handler cannot be combined
+ * @property {function} trackDeliveries(Channel) - record deliveries until they are acked or rejected
+ * @property {function} waitForSettled(Channel) - wait until every delivery on a channel is acked or rejected
+ */
+var service = {
+    createConsumer: createConsumer,
+    checkHandler: checkHandler,
+    trackDeliveries: trackDeliveries,
+    waitForSettled: waitForSettled
+};
+
+/**
+ * Builds the consume callback of a handler. The handler is called with the channel as this.
+ * When it returns a promise the message is acked once it resolves and nacked if it rejects, a synchronous throw is
+ * nacked as well. Nacked messages go through the retry queues when the handler has a retry section. Messages the
+ * handler already acked or rejected itself are left alone, and handlers with manualAck set are never acked for.
+ * Unless handler.decode is false the decoded content is set as msg.body before the handler is called.
+ * The client middleware followed by handler.middleware run around the handler, a chain that resolves without
+ * calling the handler acks the message. With handler.timeoutMs set a message still in flight after that long is
+ * failed like a rejection and the client emits handlerTimeout. With handler.dedupe set a message whose key was
+ * already handled successfully is acked without running the middleware or the handler.
+ * With handler.batch set deliveries are collected and the handler is called with an array of messages, see
+ * {@link BatchOptions}. With handler.ordering set messages sharing a partition key are handled one after the other,
+ * see {@link OrderingOptions}. The null delivery sent when the server cancels the consumer is not handed to the
+ * handler, ch.onCancel is called instead. With handler.consume.noAck set nothing is acked, nacked or retried.
+ * With handler.poison set a message delivered more than maxDeliveries times is quarantined instead of handled again.
+ * A consumer replacing options.previous on the same channel takes over its ordering scheduler, so messages of a key
+ * still being handled keep their order, and detaches it from the channel.
+ * @param {Channel} ch - channel the handler consumes on, prepared with {@link trackDeliveries}
+ * @param {RabbitHandler} handler
+ * @param {Object} options
+ * @param {customLogger} options.logger
+ * @param {Listener} options.client - the client the handler is registered on, its middleware is read on every delivery
+ * @param {function} [options.previous] - the consume callback this one replaces
+ * @returns {function} - consume callback, with dispose() detaching it from the channel
+ */
+function createConsumer(ch, handler, options) {
+    checkHandler(handler);
+
+    var logger = options.logger;
+    var queue = handler.queueConfig;
+    var decodeOptions = handler.decode === false ? null : (handler.decode || {});
+    var client = options.client;
+    var duplicates = handler.dedupe ? dedupe.createDedupe(queue, handler.dedupe) : null;
+    var noAck = !!(handler.consume && handler.consume.noAck);
+    var detector = (handler.poison && !noAck) ? poison.createDetector(queue, handler.poison) : null;
+    var batch = handler.batch ? batchSettings(handler) : null;
+    var previous = options.previous;
+    var scheduler = null;
+    var pending = [];
+    var pendingTimer = null;
+    // ordered messages of handlers that ack by themselves, their partition key is released once they are settled
+    var settling = [];
+    var disposed = false;
+
+    if (handler.ordering) {
+        scheduler = (previous && previous.scheduler) || ordering.createScheduler(handler.ordering, handler.messageRate);
+        if (previous && scheduler === previous.scheduler) {
+            scheduler.configure(handler.ordering, handler.messageRate);
+        }
+    }
+
+    function isInFlight(msg) {
+        return !!ch.inFlight[msg.fields.deliveryTag];
+    }
+
+    // the channel may have closed while the handler was running, acking on it would throw
+    function settle(action) {
+        try {
+            action();
+        } catch (err) {
+            logger.error('[AMQP] could not settle message from ' + queue + ': ' + err.message);
+        }
+    }
+
+    // acks or nacks several deliveries, with a single multiple frame when no older delivery is still in flight
+    function settleAll(msgs, action) {
+        var inFlight = msgs.filter(isInFlight);
+        if (!inFlight.length) {
+            return;
+        }
+        var tags = inFlight.map(function (msg) {
+            return msg.fields.deliveryTag;
+        });
+        var last = inFlight[tags.indexOf(Math.max.apply(Math, tags))];
+        var covered = Object.keys(ch.inFlight).every(function (tag) {
+            return Number(tag) > last.fields.deliveryTag || tags.indexOf(Number(tag)) !== -1;
+        });
+
+        settle(function () {
+            if (covered && inFlight.length > 1) {
+                action(last, true);
+            } else {
+                inFlight.forEach(function (msg) {
+                    action(msg, false);
+                });
+            }
+        });
+    }
+
+    function succeed(msgs) {
+        if (!handler.manualAck) {
+            settleAll(msgs, function (msg, multiple) {
+                ch.ack(msg, multiple);
+            });
+        }
+    }
+
+    // failures is a list of {message, error}
+    function fail(failures, force) {
+        failures.forEach(function (failure) {
+            var err = failure.error;
+            logger.error('[AMQP] handler for ' + queue + ' failed: ' + (err && err.message ? err.message : err));
+            if (detector) {
+                detector.failed(failure.message, err);
+            }
+        });
+        if (handler.manualAck && !force) {
+            return;
+        }
+        if (!ch.retry) {
+            return settleAll(failures.map(function (failure) {
+                return failure.message;
+            }), function (msg, multiple) {
+                ch.nack(msg, multiple, handler.requeueOnError !== false);
+            });
+        }
+        failures.forEach(function (failure) {
+            if (isInFlight(failure.message)) {
+                settle(function () {
+                    ch.retry(failure.message, failure.error);
+                });
+            }
+        });
+    }
+
+    function failAll(msgs, err, force) {
+        fail(msgs.map(function (msg) {
+            return {message: msg, error: err};
+        }), force);
+    }
+
+    // nacks the messages still in flight once handler.timeoutMs expired, even for manualAck handlers. The handler keeps
+    // running, so an ordered handler keeps its partition key until it settles
+    function startTimer(msgs) {
+        if (typeof handler.timeoutMs !== 'number' || handler.timeoutMs <= 0) {
+            return null;
+        }
+        return setTimeout(function () {
+            var inFlight = msgs.filter(isInFlight);
+            if (!inFlight.length) {
+                return;
+            }
+            var event = {queue: queue, timeoutMs: handler.timeoutMs};
+            if (batch) {
+                event.messages = inFlight;
+            } else {
+                event.message = inFlight[0];
+            }
+            client.emit('handlerTimeout', event);
+            failAll(inFlight, new Error('Handler for ' + queue + ' timed out after ' + handler.timeoutMs + 'ms'), true);
+        }, handler.timeoutMs);
+    }
+
+    function stopTimer(timer, msgs) {
+        if (timer && !msgs.some(isInFlight)) {
+            clearTimeout(timer);
+        }
+    }
+
+    // returns false when the message was settled because it could not be decoded
+    function decodeBody(msg) {
+        try {
+            msg.body = codec.decode(msg, decodeOptions);
+            return true;
+        } catch (err) {
+            var policy = decodeOptions.onError || 'pass';
+            logger.warn('[AMQP] could not decode message from ' + queue + ' (' + policy + '): ' + err.message);
+
+            if (policy === 'pass') {
+                msg.decodeError = err;
+                return true;
+            }
+            settle(function () {
+                if (policy === 'deadLetter') {
+                    ch.park(msg, err);
+                } else {
+                    ch.reject(msg, false);
+                }
+            });
+            return false;
+        }
+    }
+
+    // returns true when the message was quarantined
+    function isPoison(msg) {
+        var deliveries = detector.count(msg);
+        if (deliveries <= detector.maxDeliveries) {
+            return false;
+        }
+        logger.warn('[AMQP] quarantining message from ' + queue + ' in ' + detector.quarantineQueue + ' after ' + deliveries + ' deliveries');
+        settle(function () {
+            detector.quarantine(ch, msg, deliveries, handler.name || handler.handlerFunction.name || queue);
+        });
+        return true;
+    }
+
+    // a failing store does not stop the message from being handled
+    function checkDuplicate(key) {
+        return duplicates.isDuplicate(key).catch(function (err) {
+            logger.error('[AMQP] dedupe store lookup for ' + queue + ' failed: ' + err.message);
+            return false;
+        });
+    }
+
+    // acks a message that was already handled, resolves with whether it was one
+    function skipDuplicate(msg, key) {
+        return checkDuplicate(key).then(function (duplicate) {
+            if (duplicate) {
+                logger.info('[AMQP] skipping duplicate message ' + key + ' from ' + queue);
+                settle(function () {
+                    ch.ack(msg);
+                });
+            }
+            return duplicate;
+        });
+    }
+
+    function remember(key) {
+        duplicates.remember(key).catch(function (err) {
+            logger.error('[AMQP] dedupe store could not record message from ' + queue + ': ' + err.message);
+        });
+    }
+
+    // entries is a list of {message, key}, handed to the handler one by one or as a batch, done is called once the
+    // handler settled. With ordering a handler that did not return a promise is done once it acked or rejected its messages
+    function handle(entries, done) {
+        var msgs = entries.map(function (entry) {
+            return entry.message;
+        });
+        var ctx = {client: client, channel: ch, queue: queue, handler: handler, state: {}};
+        var handled = false;
+        var promised = false;
+        var middleware = client.middleware.concat(handler.middleware || []);
+        var timer;
+
+        done = done || function () {};
+        timer = startTimer(msgs);
+
+        if (batch) {
+            ctx.messages = msgs;
+        } else {
+            ctx.message = msgs[0];
+        }
+
+        compose(middleware)(ctx, function () {
+            handled = true;
+            var result = handler.handlerFunction.call(ch, batch ? msgs : msgs[0]);
+            promised = !!result && typeof result.then === 'function';
+            return result;
+        }).then(function (result) {
+            var failures = (batch && Array.isArray(result)) ? result : [];
+            var failed = failures.map(function (failure) {
+                return failure.message;
+            });
+            var succeeded = entries.filter(function (entry) {
+                return failed.indexOf(entry.message) === -1;
+            });
+
+            if (failures.length) {
+                fail(failures);
+            }
+            // a handler that returned nothing acks by itself
+            if (promised || !handled) {
+                succeed(succeeded.map(function (entry) {
+                    return entry.message;
+                }));
+            }
+            stopTimer(timer, msgs);
+            succeeded.forEach(function (entry) {
+                if (duplicates) {
+                    remember(entry.key);
+                }
+                if (detector) {
+                    detector.forget(entry.message);
+                }
+            });
+            if (scheduler && handled && !promised) {
+                settling.push({messages: msgs, done: done});
+                releaseSettled();
+            } else {
+                done();
+            }
+        }, function (err) {
+            failAll(msgs, err);
+            stopTimer(timer, msgs);
+            done();
+        });
+    }
+
+    function flush() {
+        clearTimeout(pendingTimer);
+        pendingTimer = null;
+        if (pending.length) {
+            handle(pending.splice(0, pending.length));
+        }
+    }
+
+    function accept(msg, key) {
+        var entry = {message: msg, key: key};
+        if (scheduler) {
+            return scheduler.push(partitionKey(msg), function (done) {
+                if (!duplicates) {
+                    return handle([entry], done);
+                }
+                // looked up once the message is started, a slow lookup cannot let a later message of its key overtake it
+                skipDuplicate(msg, key).then(function (duplicate) {
+                    if (duplicate) {
+                        return done();
+                    }
+                    handle([entry], done);
+                });
+            });
+        }
+        if (!batch) {
+            return handle([entry]);
+        }
+        pending.push(entry);
+        if (pending.length >= batch.size) {
+            flush();
+        } else if (!pendingTimer) {
+            pendingTimer = setTimeout(flush, batch.maxWaitMs);
+        }
+    }
+
+    function releaseSettled() {
+        var ready = settling.filter(function (entry) {
+            return ch.closed || !entry.messages.some(isInFlight);
+        });
+        // done starts the next message, which can settle and come back here right away
+        settling = settling.filter(function (entry) {
+            return ready.indexOf(entry) === -1;
+        });
+        ready.forEach(function (entry) {
+            entry.done();
+        });
+        // a replaced consumer keeps listening until its last ordered message settled
+        if (disposed && !settling.length) {
+            ch.removeListener('settled', releaseSettled);
+        }
+    }
+
+    // a key that cannot be read does not hold back the message
+    function partitionKey(msg) {
+        try {
+            return scheduler.key(msg);
+        } catch (err) {
+            logger.error('[AMQP] partition key for message from ' + queue + ' failed: ' + err.message);
+            return null;
+        }
+    }
+
+    // collected and waiting deliveries are redelivered by the server once the channel is gone
+    function onClose() {
+        clearTimeout(pendingTimer);
+        pendingTimer = null;
+        pending = [];
+        if (scheduler) {
+            scheduler.clear();
+            releaseSettled();
+        }
+    }
+
+    // the collected batch is still handed to the handler it was collected for
+    function dispose() {
+        if (disposed) {
+            return;
+        }
+        disposed = true;
+        ch.removeListener('close', onClose);
+        flush();
+        if (scheduler) {
+            releaseSettled();
+        }
+    }
+
+    ch.on('close', onClose);
+    if (scheduler) {
+        ch.on('settled', releaseSettled);
+    }
+    if (previous && previous.dispose) {
+        previous.dispose();
+    }
+
+    consume.scheduler = scheduler;
+    consume.dispose = dispose;
+    return consume;
+
+    function consume(msg) {
+        // the server cancelled the consumer, the handler is not told about it
+        if (!msg) {
+            if (ch.onCancel) {
+                ch.onCancel();
+            }
+            return;
+        }
+
+        // without acks there is nothing to settle, the message is never in flight
+        if (!noAck) {
+            ch.inFlight[msg.fields.deliveryTag] = true;
+        }
+
+        if (detector && isPoison(msg)) {
+            return;
+        }
+        if (decodeOptions && !decodeBody(msg)) {
+            return;
+        }
+        if (!duplicates) {
+            return accept(msg, null);
+        }
+
+        var key;
+        try {
+            key = duplicates.key(msg);
+        } catch (err) {
+            logger.error('[AMQP] dedupe key for message from ' + queue + ' failed: ' + err.message);
+            key = null;
+        }
+        // ordered messages are scheduled in delivery order and checked when they start
+        if (scheduler) {
+            return accept(msg, key);
+        }
+        skipDuplicate(msg, key).then(function (duplicate) {
+            if (!duplicate) {
+                accept(msg, key);
+            }
+        });
+    }
+}
+
+/**
+ * A batch is acked as a whole, so its messages cannot be ordered by partition key
+ * @param {RabbitHandler} handler
+ * @throws {Error} - when the handler has both a batch and an ordering section
+ */
+function checkHandler(handler) {
+    if (handler.batch && handler.ordering) {
+        throw new Error('The handler for ' + handler.queueConfig + ' cannot have both batch and ordering');
+    }
+}
+
+/**
+ * Batch settings of a {@link RabbitHandler}. The handler is called with an array of messages once size messages
+ * were delivered or maxWaitMs after the first one, whichever comes first. The batch is acked (or nacked) as a whole,
+ * with a single multiple ack when no older delivery is still in flight. To fail only some of the messages the
+ * handler resolves with a list of {message, error}, those are nacked (or retried) and the others acked.
+ * @typedef {Object} BatchOptions
+ * @property {Number} [size = 10] - messages per batch, capped at the messageRate of the handler since no more are delivered at once
+ * @property {Number} [maxWaitMs = 1000] - milliseconds to wait for a batch to fill before handing over what arrived
+ */
+
+function batchSettings(handler) {
+    var size = handler.batch.size > 0 ? handler.batch.size : 10;
+
+    if (handler.messageRate > 0) {
+        size = Math.min(size, handler.messageRate);
+    }
+    return {
+        size: size,
+        maxWaitMs: handler.batch.maxWaitMs > 0 ? handler.batch.maxWaitMs : 1000
+    };
+}
+
+/**
+ * Keeps track of the delivery tags that were handed to a handler and not acked or rejected yet in ch.inFlight,
+ * the channel emits 'settled' every time a delivery is acked or rejected. Acking or rejecting a delivery that is
+ * no longer in flight (a handler finishing after its timeout) is ignored, the server would close the channel with
+ * PRECONDITION_FAILED otherwise.
+ * @param {Channel} ch
+ */
+function trackDeliveries(ch) {
+    ch.inFlight = {};
+
+    ['ack', 'nack', 'reject'].forEach(function (method) {
+        var original = ch[method];
+        ch[method] = function (message, allUpTo) {
+            var tag = message.fields.deliveryTag;
+            if (!ch.inFlight[tag]) {
+                return ch;
+            }
+            if (method !== 'reject' && allUpTo) {
+                Object.keys(ch.inFlight).forEach(function (inFlightTag) {
+                    if (Number(inFlightTag) <= tag) {
+                        delete ch.inFlight[inFlightTag];
+                    }
+                });
+            } else {
+                delete ch.inFlight[tag];
+            }
+            var result = original.apply(ch, arguments);
+            ch.emit('settled');
+            return result;
+        };
+    });
+
+    ['ackAll', 'nackAll'].forEach(function (method) {
+        var original = ch[method];
+        ch[method] = function () {
+            ch.inFlight = {};
+            var result = original.apply(ch, arguments);
+            ch.emit('settled');
+            return result;
+        };
+    });
+}
+
+/**
+ * @param {Channel} ch - channel prepared with {@link trackDeliveries}
+ * @returns {Promise} - resolved once no delivery is in flight or the channel closed
+ */
+function waitForSettled(ch) {
+    return Q.Promise(function (resolve) {
+        function check() {
+            if (ch.closed || Object.keys(ch.inFlight).length === 0) {
+                ch.removeListener('settled', check);
+                ch.removeListener('close', check);
+                resolve();
+            }
+        }
+        ch.on('settled', check);
+        ch.on('close', check);
+        check();
+    });
+}
+
+module.exports = service;
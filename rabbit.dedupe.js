@@ -0,0 +1,136 @@
+/**
+ * Module recognising messages that were already processed, used to skip redeliveries
+ * @module rabbit/dedupe
+ */
+var Q = require('q');
+
+/**
+ * @type {Object}
+ * @property {function} createStore(Object) - build the default in memory store
+ * @property {function} createDedupe(String, DedupeOptions) - build the lookups of a handler
+ * @property {function} MemoryStore - the default in memory store constructor
+ */
+var service = {
+    createStore: createStore,
+    createDedupe: createDedupe,
+    MemoryStore: MemoryStore
+};
+
+// default stores by queue, a handler keeps its store when its channel is recovered or its other settings are updated
+var defaultStores = {};
+
+/**
+ * Deduplication settings of a {@link RabbitHandler}
+ * @typedef {Object} DedupeOptions
+ * @property {function} [key] - function(msg) returning the key of a message, defaults to properties.messageId. Messages without a key are always processed
+ * @property {DedupeStore} [store] - where processed keys are remembered, defaults to a {@link MemoryStore}
+ * @property {Number} [ttl = 3600000] - milliseconds a key is remembered, used for the default store
+ * @property {Number} [maxSize = 10000] - number of keys remembered before the least recently used ones are dropped, used for the default store
+ */
+
+/**
+ * Any object implementing these functions can be used to remember processed messages, for example on top of Redis.
+ * Both can return a promise.
+ * @typedef {Object} DedupeStore
+ * @property {function} has(String) - resolves true when the key was processed
+ * @property {function} add(String, Number) - remembers a processed key for ttl milliseconds
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {Number} [options.ttl = 3600000]
+ * @param {Number} [options.maxSize = 10000]
+ * @returns {MemoryStore}
+ */
+function createStore(options) {
+    return new MemoryStore(options);
+}
+
+/**
+ * Builds the functions the consumer uses to skip messages a handler already processed
+ * @param {String} queue - the queue the handler consumes from
+ * @param {DedupeOptions|boolean} options - dedupe settings, true uses the defaults
+ * @returns {{key: function, isDuplicate: function, remember: function}}
+ */
+function createDedupe(queue, options) {
+    var settings = options === true ? {} : options;
+    var store = settings.store;
+
+    if (!store) {
+        var cached = defaultStores[queue];
+        if (!cached || cached.options !== options) {
+            cached = defaultStores[queue] = {options: options, store: createStore(settings)};
+        }
+        store = cached.store;
+    }
+
+    function key(msg) {
+        var value = settings.key ? settings.key(msg) : (msg.properties && msg.properties.messageId);
+        return (value === undefined || value === null || value === '') ? null : String(value);
+    }
+
+    return {
+        key: key,
+        isDuplicate: function (msgKey) {
+            return msgKey === null ? Q(false) : Q.fcall(function () {
+                return store.has(msgKey);
+            });
+        },
+        remember: function (msgKey) {
+            return msgKey === null ? Q() : Q.fcall(function () {
+                return store.add(msgKey, settings.ttl);
+            });
+        }
+    };
+}
+
+/**
+ * In memory {@link DedupeStore} keeping keys for a time to live, bounded by dropping the least recently used keys
+ * @constructor
+ * @param {Object} [options]
+ * @param {Number} [options.ttl = 3600000] - milliseconds a key is remembered when add is called without one
+ * @param {Number} [options.maxSize = 10000] - number of keys remembered
+ */
+function MemoryStore(options) {
+    options = options || {};
+
+    this.ttl = options.ttl > 0 ? options.ttl : (60 * 60 * 1000);
+    this.maxSize = options.maxSize > 0 ? options.maxSize : 10000;
+    // Map keeps insertion order, a key is moved to the end when it is used
+    this.entries = new Map();
+}
+
+/**
+ * @param {String} key
+ * @returns {Promise<boolean>} - true when the key was added and has not expired
+ */
+MemoryStore.prototype.has = function (key) {
+    var expires = this.entries.get(key);
+
+    if (expires === undefined) {
+        return Q(false);
+    }
+    this.entries.delete(key);
+    if (expires <= Date.now()) {
+        return Q(false);
+    }
+    this.entries.set(key, expires);
+    return Q(true);
+};
+
+/**
+ * @param {String} key
+ * @param {Number} [ttl] - milliseconds the key is remembered, defaults to the ttl of the store
+ * @returns {Promise}
+ */
+MemoryStore.prototype.add = function (key, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, Date.now() + (ttl > 0 ? ttl : this.ttl));
+
+    while (this.entries.size > this.maxSize) {
+        this.entries.delete(this.entries.keys().next().value);
+    }
+    return Q();
+};
+
+module.exports = service;
@@ -0,0 +1,78 @@
+/**
+ * Module running Koa style middleware around message handling and publishing
+ * @module rabbit/middleware
+ */
+var Q = require('q');
+
+/**
+ * @type {Object}
+ * @property {function} compose(Array) - combine middleware functions into a single function
+ */
+var service = {
+    compose: compose
+};
+
+/**
+ * A middleware receives a context and a next function. Calling next runs the rest of the chain and returns a promise,
+ * the middleware can act before and after it, change the context, or not call it at all to stop the chain.
+ * @typedef {function} Middleware
+ * @param {Object} ctx - context shared by the whole chain, ctx.state is free for middleware to use
+ * @param {function} next - runs the next middleware, returns a promise
+ * @returns {Promise|*}
+ */
+
+/**
+ * Combines middleware into a single function running them in order around a last step
+ * @param {Array<Middleware>} middleware
+ * @returns {function} - function(ctx, last) returning a promise for the whole chain
+ * @example
+ *
+ * var compose = require('rabbit.middleware.js').compose;
+ *
+ * var run = compose([
+ *     function timing(ctx, next) {
+ *         var start = Date.now();
+ *         return next().then(function () {
+ *             console.log(ctx.queue + ' took ' + (Date.now() - start) + 'ms');
+ *         });
+ *     }
+ * ]);
+ *
+ * run({queue: 'My.First.Queue', state: {}}, function () {
+ *     return doWork();
+ * });
+ */
+function compose(middleware) {
+    middleware.forEach(function (fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+    });
+
+    return function (ctx, last) {
+        var index = -1;
+
+        function dispatch(i) {
+            if (i <= index) {
+                return Q.reject(new Error('next() called multiple times'));
+            }
+            index = i;
+
+            var fn = (i < middleware.length) ? middleware[i] : last;
+            if (!fn) {
+                return Q();
+            }
+            try {
+                return Q(fn(ctx, function () {
+                    return dispatch(i + 1);
+                }));
+            } catch (err) {
+                return Q.reject(err);
+            }
+        }
+
+        return dispatch(0);
+    };
+}
+
+module.exports = service;
@@ -0,0 +1,138 @@
+/**
+ * Module running messages with the same partition key one after the other while different keys run in parallel
+ * @module rabbit/ordering
+ */
+
+/**
+ * @type {Object}
+ * @property {function} createScheduler(OrderingOptions, Number) - build the scheduler of a handler
+ */
+var service = {
+    createScheduler: createScheduler
+};
+
+/**
+ * Ordering settings of a {@link RabbitHandler}. Only one of header, field and key is used, in that order.
+ * Messages without a partition key are not ordered against any other message. A key is held until the promise of the
+ * handler settles, even past its timeoutMs, or until a handler that returned no promise acked or rejected the message.
+ * A handler with a batch section cannot be ordered, addHandler rejects it and no channel is opened for it.
+ * @typedef {Object} OrderingOptions
+ * @property {String} [header] - name of the header holding the partition key
+ * @property {String} [field] - path of the partition key in the decoded msg.body, ex "customer.id"
+ * @property {function} [key] - function(msg) returning the partition key
+ * @property {Number} [concurrency = messageRate] - number of messages handled at the same time, across all keys
+ */
+
+/**
+ * @param {OrderingOptions} options
+ * @param {Number} [defaultConcurrency] - used when options.concurrency is not set, the messageRate of the handler
+ * @returns {Scheduler}
+ */
+function createScheduler(options, defaultConcurrency) {
+    return new Scheduler(keyFunction(options), concurrencyOf(options, defaultConcurrency));
+}
+
+/**
+ * Keeps the waiting messages in delivery order and starts the oldest ones whose key is not already running
+ * @constructor
+ * @param {function} key - function(msg) returning the partition key
+ * @param {Number} concurrency - number of tasks running at the same time
+ */
+function Scheduler(key, concurrency) {
+    this.key = key;
+    this.concurrency = concurrency;
+    this.waiting = [];
+    this.running = {};
+    this.active = 0;
+}
+
+/**
+ * Queues a task, it is started once no earlier task with the same key is running and fewer than concurrency tasks are
+ * @param {*} key - the partition key, null or undefined for none
+ * @param {function} run - function(done) starting the task, done must be called once it finished
+ */
+Scheduler.prototype.push = function (key, run) {
+    this.waiting.push({key: (key === undefined || key === null) ? null : String(key), run: run});
+    this.next();
+};
+
+/**
+ * Drops the tasks that did not start yet, their messages are redelivered once the channel is gone
+ */
+Scheduler.prototype.clear = function () {
+    this.waiting = [];
+};
+
+/**
+ * Applies the options of an updated handler, tasks already waiting or running keep their place
+ * @param {OrderingOptions} options
+ * @param {Number} [defaultConcurrency] - used when options.concurrency is not set, the messageRate of the handler
+ */
+Scheduler.prototype.configure = function (options, defaultConcurrency) {
+    this.key = keyFunction(options);
+    this.concurrency = concurrencyOf(options, defaultConcurrency);
+    this.next();
+};
+
+Scheduler.prototype.next = function () {
+    var i = 0;
+
+    while (i < this.waiting.length && this.active < this.concurrency) {
+        var task = this.waiting[i];
+        if (task.key !== null && this.running[task.key]) {
+            i++;
+            continue;
+        }
+        this.waiting.splice(i, 1);
+        this.start(task);
+    }
+};
+
+Scheduler.prototype.start = function (task) {
+    var context = this;
+    var finished = false;
+
+    context.active++;
+    if (task.key !== null) {
+        context.running[task.key] = true;
+    }
+    task.run(function () {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        context.active--;
+        if (task.key !== null) {
+            delete context.running[task.key];
+        }
+        context.next();
+    });
+};
+
+function concurrencyOf(options, defaultConcurrency) {
+    var concurrency = options.concurrency > 0 ? options.concurrency : defaultConcurrency;
+    return concurrency > 0 ? concurrency : 1;
+}
+
+function keyFunction(options) {
+    if (options.header) {
+        return function (msg) {
+            var headers = (msg.properties && msg.properties.headers) || {};
+            return headers[options.header];
+        };
+    }
+    if (options.field) {
+        var path = options.field.split('.');
+        return function (msg) {
+            return path.reduce(function (value, name) {
+                return (value === undefined || value === null) ? undefined : value[name];
+            }, msg.body);
+        };
+    }
+    if (typeof options.key === 'function') {
+        return options.key;
+    }
+    throw new Error('ordering needs a header, field or key function');
+}
+
+module.exports = service;
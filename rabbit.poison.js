@@ -0,0 +1,174 @@
+/**
+ * Module detecting poison messages, messages delivered over and over because handling them keeps failing, and moving
+ * them to a quarantine queue before the handler sees them again
+ * @module rabbit/poison
+ */
+var crypto = require('crypto');
+var Q = require('q');
+var retries = require('./rabbit.retry.js');
+
+/**
+ * @type {Object}
+ * @property {function} createDetector(String, PoisonOptions) - build the detector of a queue
+ * @property {function} deathCount(Object) - number of times a message was dead-lettered according to its x-death header
+ */
+var service = {
+    createDetector: createDetector,
+    deathCount: deathCount
+};
+
+/**
+ * Poison settings of a {@link RabbitHandler}
+ * @typedef {Object} PoisonOptions
+ * @property {Number} [maxDeliveries = 5] - deliveries of a message, counting requeues and dead letter cycles, before it is quarantined
+ * @property {String} [quarantineQueue = queue + '.quarantine'] - queue receiving the poison messages
+ * @property {Number} [maxTracked = 10000] - number of redelivered messages counted in memory, the oldest are forgotten past it
+ */
+
+// detectors by queue, a handler keeps its counts when its channel is recovered or its other settings are updated
+var detectors = {};
+
+/**
+ * @param {String} queue - the queue the handler consumes from
+ * @param {PoisonOptions|boolean} options - poison settings, true uses the defaults
+ * @returns {PoisonDetector}
+ */
+function createDetector(queue, options) {
+    var cached = detectors[queue];
+
+    if (!cached || cached.options !== options) {
+        cached = detectors[queue] = {options: options, detector: new PoisonDetector(queue, options === true ? {} : options)};
+    }
+    return cached.detector;
+}
+
+/**
+ * Counts the deliveries of a message. A requeued message only carries fields.redelivered, so the redeliveries are
+ * counted in memory by messageId (or a hash of the content when there is none), dead letter cycles are read from
+ * the x-death header.
+ * @constructor
+ * @param {String} queue - the queue the handler consumes from
+ * @param {PoisonOptions} [options]
+ */
+function PoisonDetector(queue, options) {
+    options = options || {};
+
+    this.queue = queue;
+    this.maxDeliveries = options.maxDeliveries > 0 ? options.maxDeliveries : 5;
+    this.quarantineQueue = options.quarantineQueue || (queue + '.quarantine');
+    this.maxTracked = options.maxTracked > 0 ? options.maxTracked : 10000;
+    // Map keeps insertion order, the oldest entries are dropped first
+    this.tracked = new Map();
+}
+
+/**
+ * Declares the quarantine queue
+ * @param {Channel} ch - an open channel
+ * @returns {Promise}
+ */
+PoisonDetector.prototype.assert = function (ch) {
+    return Q.ninvoke(ch, 'assertQueue', this.quarantineQueue, {durable: true});
+};
+
+/**
+ * Records a delivery
+ * @param {Object} msg - the delivered message
+ * @returns {Number} - number of times the message was delivered, this delivery included
+ */
+PoisonDetector.prototype.count = function (msg) {
+    var key = messageKey(msg);
+    var entry = this.tracked.get(key);
+
+    if (!msg.fields.redelivered && !entry) {
+        return 1 + deathCount(msg);
+    }
+    if (!entry) {
+        entry = {redeliveries: 0, firstSeenAt: new Date(), lastError: null};
+    }
+    if (msg.fields.redelivered) {
+        entry.redeliveries += 1;
+    }
+    this.track(key, entry);
+    return 1 + entry.redeliveries + deathCount(msg);
+};
+
+/**
+ * Remembers why handling a message failed, reported in the headers if it ends up quarantined
+ * @param {Object} msg - the delivered message
+ * @param {Error|String} error
+ */
+PoisonDetector.prototype.failed = function (msg, error) {
+    var key = messageKey(msg);
+    var entry = this.tracked.get(key) || {redeliveries: 0, firstSeenAt: new Date(), lastError: null};
+
+    entry.lastError = error;
+    this.track(key, entry);
+};
+
+// moves the entry to the end, dropping the oldest ones past maxTracked
+PoisonDetector.prototype.track = function (key, entry) {
+    this.tracked.delete(key);
+    this.tracked.set(key, entry);
+    while (this.tracked.size > this.maxTracked) {
+        this.tracked.delete(this.tracked.keys().next().value);
+    }
+};
+
+/**
+ * Stops counting a message that was handled
+ * @param {Object} msg - the delivered message
+ */
+PoisonDetector.prototype.forget = function (msg) {
+    this.tracked.delete(messageKey(msg));
+};
+
+/**
+ * Sends a copy of the message to the quarantine queue with headers describing it (x-delivery-count, x-handler,
+ * x-first-seen-at, x-last-error, x-original-queue, x-parked-at), then acks the original delivery
+ * @param {Channel} ch - the channel the message was delivered on
+ * @param {Object} msg - the delivered message
+ * @param {Number} deliveries - number of times the message was delivered
+ * @param {String} handlerName - name of the handler that kept failing
+ * @returns {String} - 'parked'
+ */
+PoisonDetector.prototype.quarantine = function (ch, msg, deliveries, handlerName) {
+    var key = messageKey(msg);
+    var entry = this.tracked.get(key) || {};
+    var headers = {
+        'x-delivery-count': deliveries,
+        'x-handler': handlerName
+    };
+
+    if (entry.firstSeenAt) {
+        headers['x-first-seen-at'] = entry.firstSeenAt.toISOString();
+    }
+    this.tracked.delete(key);
+    return retries.park(ch, msg, this.quarantineQueue, this.queue, entry.lastError, headers);
+};
+
+/**
+ * @param {Object} msg - a delivered message
+ * @returns {Number} - sum of the counts of the x-death header
+ */
+function deathCount(msg) {
+    var deaths = (msg.properties && msg.properties.headers && msg.properties.headers['x-death']) || [];
+
+    if (!Array.isArray(deaths)) {
+        return 0;
+    }
+    return deaths.reduce(function (total, death) {
+        return total + (Number(death && death.count) || 0);
+    }, 0);
+}
+
+function messageKey(msg) {
+    if (msg.properties && msg.properties.messageId) {
+        return 'id:' + msg.properties.messageId;
+    }
+    return 'sha1:' + crypto.createHash('sha1')
+        .update(String(msg.fields.exchange) + '\n' + String(msg.fields.routingKey) + '\n')
+        .update(msg.content)
+        .digest('hex');
+}
+
+module.exports = service;
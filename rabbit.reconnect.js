@@ -0,0 +1,132 @@
+/**
+ * Module containing the reconnect policies used for connection and channel recovery
+ * @module rabbit/reconnect
+ */
+
+/**
+ * @type {Object}
+ * @property {function} createPolicy(Object) - build a reconnect policy from options, or return a custom policy as is
+ * @property {function} ReconnectPolicy - the built in reconnect policy constructor
+ * @property {Number} MAX_DELAY - longest delay setTimeout supports, every delay is capped at it
+ */
+var service = {
+    createPolicy: createPolicy,
+    ReconnectPolicy: ReconnectPolicy,
+    MAX_DELAY: 2147483647
+};
+
+/**
+ * Options used to build the built in reconnect policy
+ * @typedef {Object} ReconnectPolicyOptions
+ * @property {String} [strategy = 'fixed'] - 'fixed', 'linear' or 'exponential'
+ * @property {Number} [initialDelay = 1000] - delay in milliseconds before the first retry
+ * @property {Number} [step = initialDelay] - linear only, milliseconds added for every further retry
+ * @property {Number} [factor = 2] - exponential only, multiplier applied for every further retry
+ * @property {Number} [maxDelay = 2147483647] - upper bound in milliseconds for any computed delay, never more than MAX_DELAY
+ * @property {String} [jitter = 'none'] - 'none', 'full' (random between 0 and the delay) or 'decorrelated' (random between initialDelay and 3x the previous delay)
+ * @property {Number} [maxRetries = 10] - number of failed attempts before giving up, 0 never retries, Infinity or -1 retries forever
+ */
+
+/**
+ * Any object implementing these two functions can be passed wherever a reconnect policy is expected
+ * @typedef {Object} ReconnectPolicy
+ * @property {function} shouldRetry(Number) - receives the number of failed attempts so far, returns true to keep retrying
+ * @property {function} nextDelay(Number, Number) - receives the number of failed attempts so far and the previous delay, returns the delay in milliseconds
+ */
+
+/**
+ * Returns a reconnect policy
+ * @param {ReconnectPolicy|ReconnectPolicyOptions} [options] - a custom policy or the options for the built in one
+ * @returns {ReconnectPolicy}
+ * @example
+ *
+ * var reconnect = require('rabbit.reconnect.js');
+ *
+ * var policy = reconnect.createPolicy({
+ *     strategy: 'exponential',
+ *     initialDelay: 500,
+ *     maxDelay: 60 * 1000,
+ *     jitter: 'full',
+ *     maxRetries: Infinity
+ * });
+ *
+ * console.log(policy.nextDelay(3)); // somewhere between 0 and 2000
+ */
+function createPolicy(options) {
+    if (options && typeof options.shouldRetry === 'function' && typeof options.nextDelay === 'function') {
+        return options;
+    }
+    return new ReconnectPolicy(options);
+}
+
+/**
+ * Built in reconnect policy supporting fixed, linear and exponential delays with optional jitter
+ * @constructor
+ * @param {ReconnectPolicyOptions} [options]
+ */
+function ReconnectPolicy(options) {
+    options = options || {};
+
+    var strategies = ['fixed', 'linear', 'exponential'];
+    var jitters = ['none', 'full', 'decorrelated'];
+
+    this.strategy = options.strategy || 'fixed';
+    this.initialDelay = options.initialDelay >= 0 ? options.initialDelay : 1000;
+    this.step = options.step >= 0 ? options.step : this.initialDelay;
+    this.factor = options.factor > 0 ? options.factor : 2;
+    // setTimeout fires right away for anything longer than MAX_DELAY
+    this.maxDelay = options.maxDelay >= 0 ? Math.min(options.maxDelay, service.MAX_DELAY) : service.MAX_DELAY;
+    this.jitter = options.jitter || 'none';
+    this.maxRetries = (options.maxRetries === -1) ? Infinity : (options.maxRetries >= 0 ? options.maxRetries : 10);
+
+    if (strategies.indexOf(this.strategy) < 0) {
+        throw new Error('Unknown reconnect strategy "' + this.strategy + '", expected one of ' + strategies.join(', '));
+    }
+    if (jitters.indexOf(this.jitter) < 0) {
+        throw new Error('Unknown reconnect jitter "' + this.jitter + '", expected one of ' + jitters.join(', '));
+    }
+}
+
+/**
+ * @param {Number} failures - number of failed attempts so far
+ * @returns {boolean} - true if another attempt should be made
+ */
+ReconnectPolicy.prototype.shouldRetry = function (failures) {
+    return failures < this.maxRetries;
+};
+
+/**
+ * @param {Number} failures - number of failed attempts so far (1 for the first retry)
+ * @param {Number} [previousDelay] - the delay returned for the previous retry, used by decorrelated jitter
+ * @returns {Number} - delay in milliseconds before the next attempt
+ */
+ReconnectPolicy.prototype.nextDelay = function (failures, previousDelay) {
+    var retry = Math.max(failures, 1) - 1;
+    var delay;
+
+    if (this.jitter === 'decorrelated') {
+        var upper = Math.max(this.initialDelay, (previousDelay || this.initialDelay) * 3);
+        return Math.min(this.maxDelay, randomBetween(this.initialDelay, upper));
+    }
+
+    if (this.strategy === 'linear') {
+        delay = this.initialDelay + (this.step * retry);
+    } else if (this.strategy === 'exponential') {
+        delay = this.initialDelay * Math.pow(this.factor, retry);
+    } else {
+        delay = this.initialDelay;
+    }
+
+    delay = Math.min(this.maxDelay, delay);
+
+    if (this.jitter === 'full') {
+        delay = randomBetween(0, delay);
+    }
+    return delay;
+};
+
+function randomBetween(min, max) {
+    return Math.floor(min + (Math.random() * (max - min)));
+}
+
+module.exports = service;
@@ -0,0 +1,153 @@
+/**
+ * Module implementing delayed retries for handlers. Every delay gets its own retry queue with a message TTL, once the
+ * TTL expires the message is dead-lettered back to the queue it came from. Messages that used all their attempts are
+ * moved to a parking queue.
+ * @module rabbit/retry
+ */
+var Q = require('q');
+
+/**
+ * @type {Object}
+ * @property {function} createRetry(String, RetryOptions) - build the retry setup of a queue
+ * @property {function} park(Channel, Object, String, String, Error, Object) - move a message to a parking queue
+ * @property {String} ATTEMPT_HEADER - header holding the number of retries a message went through
+ */
+var service = {
+    createRetry: createRetry,
+    park: park,
+    ATTEMPT_HEADER: 'x-retry-attempt'
+};
+
+/**
+ * Retry settings of a {@link RabbitHandler}
+ * @typedef {Object} RetryOptions
+ * @property {Number} [attempts = 3] - number of retries before a message is parked
+ * @property {Array<Number>} [delays = [5000]] - delay in milliseconds before each retry, the last delay is reused once the list runs out
+ * @property {String} [parkingQueue = queue + '.parking'] - queue receiving the messages that used all their attempts
+ */
+
+/**
+ * @param {String} queue - the queue the handler consumes from
+ * @param {RetryOptions|boolean} options - retry settings, true uses the defaults
+ * @returns {Retry}
+ */
+function createRetry(queue, options) {
+    return new Retry(queue, options === true ? {} : options);
+}
+
+/**
+ * Retry setup of a single queue
+ * @constructor
+ * @param {String} queue - the queue the handler consumes from
+ * @param {RetryOptions} [options]
+ */
+function Retry(queue, options) {
+    options = options || {};
+
+    this.queue = queue;
+    this.attempts = options.attempts >= 0 ? options.attempts : 3;
+    this.delays = (options.delays && options.delays.length) ? options.delays : [5000];
+    this.parkingQueue = options.parkingQueue || (queue + '.parking');
+}
+
+/**
+ * @param {Number} delay - delay in milliseconds
+ * @returns {String} - name of the retry queue holding messages for that delay
+ */
+Retry.prototype.retryQueueName = function (delay) {
+    return this.queue + '.retry.' + delay;
+};
+
+/**
+ * Declares the retry queues and the parking queue
+ * @param {Channel} ch - an open channel
+ * @returns {Promise}
+ */
+Retry.prototype.assert = function (ch) {
+    var context = this;
+    var declarations = uniq(context.delays).map(function (delay) {
+        return Q.ninvoke(ch, 'assertQueue', context.retryQueueName(delay), {
+            durable: true,
+            arguments: {
+                'x-message-ttl': delay,
+                'x-dead-letter-exchange': '',
+                'x-dead-letter-routing-key': context.queue
+            }
+        });
+    });
+    declarations.push(Q.ninvoke(ch, 'assertQueue', context.parkingQueue, {durable: true}));
+    return Q.all(declarations);
+};
+
+/**
+ * Sends a copy of the message to the retry queue matching its next attempt, or to the parking queue once all
+ * attempts are used, then acks the original delivery
+ * @param {Channel} ch - the channel the message was delivered on
+ * @param {Object} msg - the delivered message
+ * @param {Error|String} [error] - why the handler failed, stored in the x-last-error header of parked messages
+ * @returns {String} - 'retried' or 'parked'
+ */
+Retry.prototype.retry = function (ch, msg, error) {
+    var properties = copyProperties(msg.properties);
+    var attempt = (Number(properties.headers[service.ATTEMPT_HEADER]) || 0) + 1;
+
+    if (attempt > this.attempts) {
+        return park(ch, msg, this.parkingQueue, this.queue, error);
+    }
+
+    var delay = this.delays[Math.min(attempt, this.delays.length) - 1];
+    properties.headers[service.ATTEMPT_HEADER] = attempt;
+    ch.sendToQueue(this.retryQueueName(delay), msg.content, properties);
+    ch.ack(msg);
+    return 'retried';
+};
+
+/**
+ * Sends a copy of the message to a parking queue with headers describing why, then acks the original delivery
+ * @param {Channel} ch - the channel the message was delivered on
+ * @param {Object} msg - the delivered message
+ * @param {String} parkingQueue - queue receiving the message
+ * @param {String} originQueue - queue the message was consumed from, stored in the x-original-queue header
+ * @param {Error|String} [error] - why the message is parked, stored in the x-last-error header
+ * @param {Object} [headers] - more headers to set on the parked copy
+ * @returns {String} - 'parked'
+ */
+function park(ch, msg, parkingQueue, originQueue, error, headers) {
+    var properties = copyProperties(msg.properties);
+
+    Object.keys(headers || {}).forEach(function (key) {
+        properties.headers[key] = headers[key];
+    });
+
+    properties.headers['x-original-queue'] = originQueue;
+    properties.headers['x-parked-at'] = new Date().toISOString();
+    if (error) {
+        properties.headers['x-last-error'] = String(error.message || error);
+    }
+    ch.sendToQueue(parkingQueue, msg.content, properties);
+    ch.ack(msg);
+    return 'parked';
+}
+
+// publish options mirror the message properties, the expiration is dropped so it cannot cut the retry delay short
+function copyProperties(properties) {
+    var copy = {};
+    Object.keys(properties || {}).forEach(function (key) {
+        if (key !== 'expiration' && properties[key] !== undefined) {
+            copy[key] = properties[key];
+        }
+    });
+    copy.headers = {};
+    Object.keys((properties && properties.headers) || {}).forEach(function (key) {
+        copy.headers[key] = properties.headers[key];
+    });
+    return copy;
+}
+
+function uniq(values) {
+    return values.filter(function (value, index) {
+        return values.indexOf(value) === index;
+    });
+}
+
+module.exports = service;
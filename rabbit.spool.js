@@ -0,0 +1,225 @@
+/**
+ * Module keeping the messages that could not be published in append-only files on disk, so they survive a broker
+ * outage longer than memory allows and process restarts. Every line of a spool file is a JSON record of one message.
+ * Files are rotated once they reach maxFileBytes, a file is deleted once all its messages were replayed.
+ * @module rabbit/spool
+ */
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * @type {Object}
+ * @property {function} createSpool(PublishSpoolOptions) - open the spool in a directory
+ * @property {Array<String>} FSYNC - the fsync policies
+ */
+var service = {
+    createSpool: createSpool,
+    FSYNC: ['always', 'interval', 'never']
+};
+
+/**
+ * Publish spool settings of a {@link RabbitConfiguration}
+ * @typedef {Object} PublishSpoolOptions
+ * @property {String} directory - directory of the spool files, created when missing. A directory must only be used by one client
+ * @property {String} [prefix = 'publish-spool'] - name prefix of the spool files
+ * @property {String} [fsync = 'interval'] - 'always' flushes every message to disk before the publish resolves, 'interval'
+ * flushes every fsyncIntervalMs, 'never' leaves it to the operating system
+ * @property {Number} [fsyncIntervalMs = 1000] - used with fsync 'interval'
+ * @property {Number} [maxFileBytes = 10485760] - size after which a new spool file is started, also bounds the memory used to replay a file
+ * @property {Number} [replayChunkSize = 100] - messages of a spool file published before waiting for their confirms and for the channel to drain
+ * @property {Number} [replayIntervalMs = 60000] - how often the messages spooled while connected (nacked or not confirmed in time)
+ * are replayed, 0 only replays once registerPublishers opened a channel
+ */
+
+/**
+ * @param {PublishSpoolOptions} options
+ * @returns {Spool}
+ */
+function createSpool(options) {
+    return new Spool(options);
+}
+
+/**
+ * @constructor
+ * @param {PublishSpoolOptions} options
+ */
+function Spool(options) {
+    if (!options || !options.directory) {
+        throw new Error('publishSpool needs a directory');
+    }
+    if (options.fsync && service.FSYNC.indexOf(options.fsync) === -1) {
+        throw new Error('Unknown publish spool fsync "' + options.fsync + '", use one of ' + service.FSYNC.join(', '));
+    }
+
+    this.directory = options.directory;
+    this.prefix = options.prefix || 'publish-spool';
+    this.fsync = options.fsync || 'interval';
+    this.fsyncIntervalMs = options.fsyncIntervalMs > 0 ? options.fsyncIntervalMs : 1000;
+    this.maxFileBytes = options.maxFileBytes > 0 ? options.maxFileBytes : (10 * 1024 * 1024);
+    this.replayChunkSize = options.replayChunkSize > 0 ? options.replayChunkSize : 100;
+    this.replayIntervalMs = options.replayIntervalMs >= 0 ? options.replayIntervalMs : (60 * 1000);
+    this.fd = null;
+    this.file = null;
+    this.size = 0;
+    this.dirty = false;
+    this.timer = null;
+
+    mkdirp(this.directory);
+}
+
+/**
+ * Appends a message to the current spool file, opening or rotating it when needed
+ * @param {Object} message - {exchange, routingKey, content, options}
+ * @throws {Error} - when the message cannot be written
+ */
+Spool.prototype.append = function (message) {
+    var line = JSON.stringify({
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+        content: new Buffer(message.content || '').toString('base64'),
+        options: message.options || {},
+        spooledAt: new Date().toISOString()
+    }) + '\n';
+
+    if (this.fd === null || this.size >= this.maxFileBytes) {
+        this.rotate();
+    }
+    fs.writeSync(this.fd, line);
+    this.size += Buffer.byteLength(line);
+    this.dirty = true;
+
+    if (this.fsync === 'always') {
+        this.flush();
+    } else if (this.fsync === 'interval' && !this.timer) {
+        this.timer = setInterval(this.flush.bind(this), this.fsyncIntervalMs);
+        // the spool must not keep the process alive
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+};
+
+/**
+ * Closes the current spool file and opens a new one
+ */
+Spool.prototype.rotate = function () {
+    this.seal();
+    this.file = path.join(this.directory, this.prefix + '-' + pad(this.nextSequence()) + '.log');
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = 0;
+};
+
+/**
+ * Writes the appended messages to disk
+ */
+Spool.prototype.flush = function () {
+    if (this.fd !== null && this.dirty) {
+        fs.fsyncSync(this.fd);
+        this.dirty = false;
+    }
+};
+
+/**
+ * @returns {Array<String>} - paths of the spool files that are not appended to anymore, oldest first
+ */
+Spool.prototype.files = function () {
+    var context = this;
+
+    return listFiles(context).map(function (name) {
+        return path.join(context.directory, name);
+    }).filter(function (file) {
+        return file !== context.file;
+    });
+};
+
+/**
+ * Reads the messages of a spool file, a line that cannot be parsed (cut short by a crash) is skipped
+ * @param {String} file
+ * @param {function} [onInvalid] - function(lineNumber, error) called for every skipped line
+ * @returns {Array<Object>} - the messages, {exchange, routingKey, content, options}
+ */
+Spool.prototype.read = function (file, onInvalid) {
+    return fs.readFileSync(file, 'utf8').split('\n').reduce(function (messages, line, index) {
+        if (!line) {
+            return messages;
+        }
+        try {
+            var record = JSON.parse(line);
+            messages.push({
+                exchange: record.exchange,
+                routingKey: record.routingKey,
+                content: new Buffer(record.content, 'base64'),
+                options: record.options || {}
+            });
+        } catch (err) {
+            if (onInvalid) {
+                onInvalid(index + 1, err);
+            }
+        }
+        return messages;
+    }, []);
+};
+
+/**
+ * @param {String} file - a replayed spool file
+ */
+Spool.prototype.remove = function (file) {
+    fs.unlinkSync(file);
+};
+
+/**
+ * Flushes and closes the current spool file and stops the fsync interval
+ */
+Spool.prototype.close = function () {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.seal();
+};
+
+/**
+ * Flushes and closes the current spool file so it can be replayed, the next append starts a new one
+ */
+Spool.prototype.seal = function () {
+    if (this.fd === null) {
+        return;
+    }
+    this.flush();
+    fs.closeSync(this.fd);
+    this.fd = null;
+    this.file = null;
+};
+
+Spool.prototype.nextSequence = function () {
+    var context = this;
+
+    return listFiles(context).reduce(function (max, name) {
+        return Math.max(max, Number(name.slice(context.prefix.length + 1, -4)) || 0);
+    }, 0) + 1;
+};
+
+function listFiles(spool) {
+    var pattern = new RegExp('^' + spool.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '-\\d+\\.log$');
+
+    return fs.readdirSync(spool.directory).filter(function (name) {
+        return pattern.test(name);
+    }).sort();
+}
+
+function mkdirp(directory) {
+    if (fs.existsSync(directory)) {
+        return;
+    }
+    mkdirp(path.dirname(directory));
+    fs.mkdirSync(directory);
+}
+
+// fixed width so the names sort in order
+function pad(sequence) {
+    var text = String(sequence);
+    while (text.length < 10) {
+        text = '0' + text;
+    }
+    return text;
+}
+
+module.exports = service;
@@ -0,0 +1,159 @@
+/**
+ * Module asserting the exchanges, queues and bindings a client depends on
+ * @module rabbit/topology
+ */
+var Q = require('q');
+
+/**
+ * @type {Object}
+ * @property {function} assertTopology(Channel, Topology) - declare exchanges, queues then bindings on a channel
+ * @property {function} queueOptions(TopologyQueue) - the assertQueue options of a queue
+ * @property {function} singleActiveQueue(Topology, String) - the declaration of a queue consumed by a single active consumer
+ */
+var service = {
+    assertTopology: assertTopology,
+    queueOptions: queueOptions,
+    singleActiveQueue: singleActiveQueue
+};
+
+/**
+ * @typedef {Object} TopologyExchange
+ * @property {String} name - name of the exchange
+ * @property {String} [type = 'topic'] - 'direct', 'topic', 'headers', 'fanout' or a plugin type
+ * @property {boolean} [durable = true]
+ * @property {boolean} [autoDelete = false]
+ * @property {boolean} [internal = false]
+ * @property {String} [alternateExchange] - exchange receiving the messages that cannot be routed
+ * @property {Object} [arguments] - extra arguments of the exchange
+ */
+
+/**
+ * @typedef {Object} TopologyQueue
+ * @property {String} name - name of the queue
+ * @property {boolean} [durable = true]
+ * @property {boolean} [exclusive = false]
+ * @property {boolean} [autoDelete = false]
+ * @property {Object} [arguments] - queue arguments, ex {'x-message-ttl': 60000, 'x-dead-letter-exchange': 'Dead.Letters'}
+ */
+
+/**
+ * Binds a queue (or an exchange when destinationExchange is set) to an exchange
+ * @typedef {Object} TopologyBinding
+ * @property {String} exchange - source exchange
+ * @property {String} [queue] - queue to bind
+ * @property {String} [destinationExchange] - exchange to bind instead of a queue
+ * @property {String|Array<String>} [routingKey = ''] - one or more routing keys, a binding is made for each
+ * @property {Object} [arguments] - binding arguments, the headers to match on for a headers exchange ex {'x-match': 'all', type: 'audit'}
+ */
+
+/**
+ * @typedef {Object} Topology
+ * @property {Array<TopologyExchange>} [exchanges]
+ * @property {Array<TopologyQueue>} [queues]
+ * @property {Array<TopologyBinding>} [bindings]
+ */
+
+/**
+ * Declares the exchanges, then the queues, then the bindings of a topology one after the other.
+ * A declaration that conflicts with what exists on the server closes the channel and rejects the promise.
+ * @param {Channel} ch - an open channel
+ * @param {Topology} [topology]
+ * @returns {Promise} - resolved once everything is declared
+ * @example
+ *
+ * var topology = require('rabbit.topology.js');
+ *
+ * topology.assertTopology(ch, {
+ *     exchanges: [{name: 'Events.Exchange', type: 'topic'}],
+ *     queues: [{name: 'Events.Audit', arguments: {'x-max-length': 10000}}],
+ *     bindings: [{exchange: 'Events.Exchange', queue: 'Events.Audit', routingKey: ['audit.#', 'login.*']}]
+ * });
+ */
+function assertTopology(ch, topology) {
+    topology = topology || {};
+
+    var steps = [];
+
+    (topology.exchanges || []).forEach(function (exchange) {
+        steps.push(function () {
+            requireName(exchange.name, 'exchange');
+            return Q.ninvoke(ch, 'assertExchange', exchange.name, exchange.type || 'topic', {
+                durable: exchange.durable !== false,
+                autoDelete: !!exchange.autoDelete,
+                internal: !!exchange.internal,
+                alternateExchange: exchange.alternateExchange,
+                arguments: exchange.arguments
+            });
+        });
+    });
+
+    (topology.queues || []).forEach(function (queue) {
+        steps.push(function () {
+            requireName(queue.name, 'queue');
+            return Q.ninvoke(ch, 'assertQueue', queue.name, queueOptions(queue));
+        });
+    });
+
+    (topology.bindings || []).forEach(function (binding) {
+        var routingKeys = [].concat(binding.routingKey === undefined ? '' : binding.routingKey);
+        routingKeys.forEach(function (routingKey) {
+            steps.push(function () {
+                requireName(binding.exchange, 'binding source exchange');
+                if (binding.destinationExchange) {
+                    return Q.ninvoke(ch, 'bindExchange', binding.destinationExchange, binding.exchange, routingKey, binding.arguments);
+                }
+                requireName(binding.queue, 'binding queue');
+                return Q.ninvoke(ch, 'bindQueue', binding.queue, binding.exchange, routingKey, binding.arguments);
+            });
+        });
+    });
+
+    return steps.reduce(function (previous, step) {
+        return previous.then(step);
+    }, Q());
+}
+
+/**
+ * @param {TopologyQueue} queue
+ * @returns {Object} - options of ch.assertQueue
+ */
+function queueOptions(queue) {
+    return {
+        durable: queue.durable !== false,
+        exclusive: !!queue.exclusive,
+        autoDelete: !!queue.autoDelete,
+        arguments: queue.arguments
+    };
+}
+
+/**
+ * A queue consumed by a single active consumer is declared as its entry in the topology, or with the defaults when it
+ * has none, plus x-single-active-consumer. Declaring it any other way fails once it exists.
+ * @param {Topology} [declared]
+ * @param {String} name - name of the queue
+ * @returns {TopologyQueue} - a copy, the topology is left untouched
+ */
+function singleActiveQueue(declared, name) {
+    var entry = ((declared && declared.queues) || []).filter(function (queue) {
+        return queue.name === name;
+    })[0] || {name: name};
+    var copy = {};
+
+    Object.keys(entry).forEach(function (key) {
+        copy[key] = entry[key];
+    });
+    copy.arguments = {};
+    Object.keys(entry.arguments || {}).forEach(function (key) {
+        copy.arguments[key] = entry.arguments[key];
+    });
+    copy.arguments['x-single-active-consumer'] = true;
+    return copy;
+}
+
+function requireName(name, kind) {
+    if (typeof name !== 'string') {
+        throw new Error('Topology ' + kind + ' is missing a name');
+    }
+}
+
+module.exports = service;
@@ -2,22 +2,39 @@
  * Module containing util functions for RabbitMq
  * @module rabbit/util
  */
+var net = require('net');
 
 /**
  * @type {Object}
  * @property {function} buildRabbitMqUrl(String) - build amqp connection string
+ * @property {function} buildSocketOptions(Object, Object) - build the socket options (TLS) for a connection
+ * @property {function} isExternalAuth(Object) - check if certificate based (SASL EXTERNAL) login was requested
+ * @property {function} getRabbitMqHosts(Object) - list the cluster nodes from the configuration
+ * @property {function} selectRabbitMqHost(Array, String, Number) - pick the index of the node to connect to next
  * @property {function} validateJson(String) - validate string is in valid JSON format
  * @property {function} cleanData(String) - change $type to type
  */
 var service = {
     buildRabbitMqUrl: buildRabbitMqUrl,
+    buildSocketOptions: buildSocketOptions,
+    isExternalAuth: isExternalAuth,
+    getRabbitMqHosts: getRabbitMqHosts,
+    selectRabbitMqHost: selectRabbitMqHost,
     validateJson: IsJsonString,
     cleanData: cleanData
 };
 
+/**
+ * A single node of a RabbitMq cluster
+ * @typedef {Object} RabbitHost
+ * @property {String} host - IP or Domain of the node
+ * @property {Number} port - port of the node, falls back to config.rabbitmqport
+ */
+
 /**
  * Builds the RabbitMqUrl connection string
  * @param {String} config - configuration for connection string
+ * @param {RabbitHost} [node] - the cluster node to connect to, defaults to the first node of the configuration
  * @returns {String} amqpConnString - returns amqp connection string
  * @example
  *
@@ -35,13 +52,136 @@ var service = {
  * var connString = util.buildRabbitMqUrl(config)
  * console.log(connString);
  */
-function buildRabbitMqUrl(config){
+function buildRabbitMqUrl(config, node){
     var auth = '';
+    var scheme = config.rabbitmqtls ? 'amqps://' : 'amqp://';
+    node = node || getRabbitMqHosts(config)[0];
     var heartbeat = config.rabbitheartbeat || 0;
-    if((config.rabbitmqusername + config.rabbitmqpassword) != ''){
+    if((config.rabbitmqusername + config.rabbitmqpassword) != '' && !isExternalAuth(config)){
         auth = config.rabbitmqusername + ':' + config.rabbitmqpassword + '@';
     }
-    return 'amqp://' + auth + config.rabbitmqserver + ':' + config.rabbitmqport + '/' + config.vhost + '?heartbeat=' + heartbeat;
+    return scheme + auth + node.host + ':' + node.port + '/' + config.vhost + '?heartbeat=' + heartbeat;
+}
+
+/**
+ * TLS settings of a connection, they are handed to tls.connect
+ * @typedef {Object} RabbitTlsConfiguration
+ * @property {String|Buffer|Array} [ca] - CA bundle used to verify the server certificate
+ * @property {String|Buffer} [cert] - client certificate
+ * @property {String|Buffer} [key] - private key of the client certificate
+ * @property {String} [passphrase] - passphrase of the private key
+ * @property {String} [servername] - server name for SNI and certificate verification, defaults to the node host unless it is an IP address
+ * @property {boolean} [rejectUnauthorized = true] - set to false to accept certificates that cannot be verified
+ */
+
+/**
+ * Builds the socket options passed to amqp.connect, the TLS settings are only added for amqps connections
+ * @param {Object} config - configuration for connection string
+ * @param {RabbitHost} [node] - the cluster node to connect to, defaults to the first node of the configuration
+ * @returns {Object} - socket options
+ * @example
+ *
+ * var fs = require('fs');
+ * var util = require('rabbit.util.js');
+ *
+ * var config = {
+ *     rabbitmqserver: 'rabbit.example.com',
+ *     rabbitmqport: 5671,
+ *     rabbitmqtls: {
+ *         ca: [fs.readFileSync('ca.pem')],
+ *         cert: fs.readFileSync('client.pem'),
+ *         key: fs.readFileSync('client.key'),
+ *         passphrase: 'secret'
+ *     },
+ *     rabbitmqauthmechanism: 'EXTERNAL',
+ *     vhost: ''
+ * };
+ *
+ * var socketOptions = util.buildSocketOptions(config);
+ */
+function buildSocketOptions(config, node) {
+    var options = {};
+    var tls = config.rabbitmqtls;
+    node = node || getRabbitMqHosts(config)[0];
+
+    if (tls) {
+        ['ca', 'cert', 'key', 'passphrase', 'pfx'].forEach(function (property) {
+            if (tls[property] !== undefined) {
+                options[property] = tls[property];
+            }
+        });
+        // SNI does not allow IP addresses, the certificate is checked against the IP without it
+        if (tls.servername) {
+            options.servername = tls.servername;
+        } else if (!net.isIP(node.host)) {
+            options.servername = node.host;
+        }
+        options.rejectUnauthorized = tls.rejectUnauthorized !== false;
+    }
+    return options;
+}
+
+/**
+ * @param {Object} config - configuration for connection string
+ * @returns {boolean} - true if the SASL EXTERNAL mechanism (certificate based login) was requested
+ */
+function isExternalAuth(config) {
+    return String(config.rabbitmqauthmechanism).toUpperCase() === 'EXTERNAL';
+}
+
+/**
+ * Lists the cluster nodes of a configuration. config.rabbitmqserver can be a single host or an array of hosts,
+ * each host can be a "host", "host:port" string or a {@link RabbitHost} object
+ * @param {Object} config - configuration for connection string
+ * @returns {Array<RabbitHost>} - the nodes in the order they were configured
+ * @example
+ *
+ * var util = require('rabbit.util.js');
+ *
+ * var hosts = util.getRabbitMqHosts({
+ *     rabbitmqserver: ['rabbit-1', 'rabbit-2:5673', {host: 'rabbit-3', port: 5674}],
+ *     rabbitmqport: 5672
+ * });
+ * // [{host: 'rabbit-1', port: 5672}, {host: 'rabbit-2', port: 5673}, {host: 'rabbit-3', port: 5674}]
+ */
+function getRabbitMqHosts(config) {
+    var hosts = Array.isArray(config.rabbitmqserver) ? config.rabbitmqserver : [config.rabbitmqserver];
+
+    return hosts.map(function (entry) {
+        if (entry !== null && typeof entry === 'object') {
+            return {host: entry.host, port: entry.port || config.rabbitmqport};
+        }
+        var parts = /^(.*):(\d+)$/.exec(entry);
+        if (parts) {
+            return {host: parts[1], port: Number(parts[2])};
+        }
+        return {host: entry, port: config.rabbitmqport};
+    });
+}
+
+/**
+ * Picks the index of the next node to connect to
+ * @param {Array<RabbitHost>} hosts - nodes of the cluster
+ * @param {String} [strategy = 'round-robin'] - 'round-robin' or 'random'
+ * @param {Number} [previousIndex = -1] - index of the node used for the previous attempt
+ * @returns {Number} - index of the node to use for the next attempt
+ */
+function selectRabbitMqHost(hosts, strategy, previousIndex) {
+    if (previousIndex === undefined || previousIndex === null) {
+        previousIndex = -1;
+    }
+    if (hosts.length < 2) {
+        return 0;
+    }
+    if (strategy === 'random') {
+        if (previousIndex < 0) {
+            return Math.floor(Math.random() * hosts.length);
+        }
+        // never pick the node that was just tried twice in a row
+        var index = Math.floor(Math.random() * (hosts.length - 1));
+        return (index >= previousIndex) ? index + 1 : index;
+    }
+    return (previousIndex + 1) % hosts.length;
 }
 
 /**
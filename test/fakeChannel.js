@@ -0,0 +1,62 @@
+var EventEmitter = require('events');
+var utl = require('util');
+
+/**
+ * Stands in for an amqplib channel in the consumer tests, records every ack, nack and reject and every message sent
+ * @constructor
+ */
+function FakeChannel() {
+    EventEmitter.call(this);
+    this.settled = [];
+    this.sent = [];
+    this.deliveryTag = 0;
+}
+utl.inherits(FakeChannel, EventEmitter);
+
+FakeChannel.prototype.ack = function (msg, allUpTo) {
+    this.settled.push(['ack', msg.fields.deliveryTag, !!allUpTo]);
+};
+
+FakeChannel.prototype.nack = function (msg, allUpTo, requeue) {
+    this.settled.push(['nack', msg.fields.deliveryTag, !!allUpTo, requeue !== false]);
+};
+
+FakeChannel.prototype.reject = function (msg, requeue) {
+    this.settled.push(['reject', msg.fields.deliveryTag, false, requeue !== false]);
+};
+
+FakeChannel.prototype.ackAll = function () {
+    this.settled.push(['ackAll']);
+};
+
+FakeChannel.prototype.nackAll = function () {
+    this.settled.push(['nackAll']);
+};
+
+FakeChannel.prototype.sendToQueue = function (queue, content, options) {
+    this.sent.push({queue: queue, content: content.toString(), options: options});
+    return true;
+};
+
+// builds the next delivery with a JSON body
+FakeChannel.prototype.message = function (body, headers) {
+    return {
+        content: new Buffer(JSON.stringify(body)),
+        fields: {deliveryTag: ++this.deliveryTag, redelivered: false, exchange: '', routingKey: 'test'},
+        properties: {contentType: 'application/json', headers: headers || {}}
+    };
+};
+
+// the client options createConsumer expects
+FakeChannel.client = function () {
+    var client = new EventEmitter();
+    client.middleware = [];
+    return {
+        client: client,
+        logger: {info: noop, error: noop, debug: noop, fatal: noop, trace: noop, warn: noop}
+    };
+};
+
+function noop() {}
+
+module.exports = FakeChannel;
@@ -0,0 +1,124 @@
+/*global describe, it*/
+'use strict';
+
+var should = require('should'),
+    Q = require('q'),
+    buffer = require('../rabbit.buffer.js');
+
+function message(text) {
+    return {exchange: 'ex', routingKey: 'rk', content: new Buffer(text), options: {}};
+}
+
+function outcome(promise) {
+    return promise.then(function () {
+        return 'resolved';
+    }, function (err) {
+        return err.message;
+    });
+}
+
+describe('rabbit.buffer', function () {
+
+    it('should use its defaults with true', function () {
+        var pending = buffer.createBuffer(true);
+        pending.maxMessages.should.equal(1000);
+        pending.maxBytes.should.equal(Infinity);
+        pending.overflow.should.equal('drop-oldest');
+    });
+
+    it('should reject an unknown overflow policy', function () {
+        (function () {
+            buffer.createBuffer({overflow: 'spill'});
+        }).should.throw(/Unknown publish buffer overflow/);
+    });
+
+    it('should hand messages back in order and settle them through their deferred', function () {
+        var pending = buffer.createBuffer({maxMessages: 5});
+        var first = pending.push(message('m1'));
+        pending.push(message('m2'));
+
+        pending.length.should.equal(2);
+        pending.bytes.should.equal(4);
+
+        var entry = pending.shift();
+        entry.message.content.toString().should.equal('m1');
+        entry.deferred.resolve('confirmed');
+        pending.shift().message.content.toString().should.equal('m2');
+        should.not.exist(pending.shift());
+        pending.length.should.equal(0);
+        return first.then(function (value) {
+            value.should.equal('confirmed');
+        });
+    });
+
+    it('should drop the oldest messages when full with drop-oldest', function () {
+        var pending = buffer.createBuffer({maxMessages: 2});
+        var results = [message('m1'), message('m2'), message('m3')].map(function (msg) {
+            return outcome(pending.push(msg));
+        });
+
+        pending.length.should.equal(2);
+        pending.shift().message.content.toString().should.equal('m2');
+        return results[0].then(function (result) {
+            result.should.match(/dropped/);
+        });
+    });
+
+    it('should drop as many messages as maxBytes needs', function () {
+        var pending = buffer.createBuffer({maxBytes: 6});
+        var results = [message('aa'), message('bb'), message('ccc')].map(function (msg) {
+            return outcome(pending.push(msg));
+        });
+
+        pending.bytes.should.equal(5);
+        return Q.all(results.slice(0, 1)).then(function (settled) {
+            settled[0].should.match(/dropped/);
+            pending.shift().message.content.toString().should.equal('bb');
+        });
+    });
+
+    it('should reject a message larger than maxBytes', function () {
+        var pending = buffer.createBuffer({maxBytes: 2});
+        return outcome(pending.push(message('toolarge'))).then(function (result) {
+            result.should.match(/larger than the publish buffer/);
+            pending.length.should.equal(0);
+        });
+    });
+
+    it('should reject the new message when full with reject', function () {
+        var pending = buffer.createBuffer({maxMessages: 1, overflow: 'reject'});
+        pending.push(message('m1'));
+        return outcome(pending.push(message('m2'))).then(function (result) {
+            result.should.match(/rejected/);
+            pending.length.should.equal(1);
+            pending.shift().message.content.toString().should.equal('m1');
+        });
+    });
+
+    it('should keep new messages waiting until there is room when full with block', function () {
+        var pending = buffer.createBuffer({maxMessages: 1, overflow: 'block'});
+        pending.push(message('m1'));
+        pending.push(message('m2'));
+        pending.push(message('m3'));
+
+        pending.length.should.equal(1);
+        pending.shift().message.content.toString().should.equal('m1');
+        pending.length.should.equal(1);
+        pending.shift().message.content.toString().should.equal('m2');
+        pending.shift().message.content.toString().should.equal('m3');
+    });
+
+    it('should reject the buffered and blocked messages on clear', function () {
+        var pending = buffer.createBuffer({maxMessages: 1, overflow: 'block'});
+        var results = [message('m1'), message('m2')].map(function (msg) {
+            return outcome(pending.push(msg));
+        });
+
+        pending.clear(new Error('closed'));
+        pending.length.should.equal(0);
+        pending.bytes.should.equal(0);
+        return Q.all(results).then(function (settled) {
+            settled.should.eql(['closed', 'closed']);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/*global describe, it*/
+'use strict';
+
+var should = require('should'),
+    zlib = require('zlib'),
+    codec = require('../rabbit.codec.js');
+
+function message(content, properties) {
+    return {content: Buffer.isBuffer(content) ? content : new Buffer(content), properties: properties || {}};
+}
+
+describe('rabbit.codec', function () {
+
+    describe('decode', function () {
+
+        it('should parse JSON content types', function () {
+            codec.decode(message('{"employee":"John"}', {contentType: 'application/json'})).should.eql({employee: 'John'});
+            codec.decode(message('{"a":1}', {contentType: 'application/vnd.order+json'})).should.eql({a: 1});
+        });
+
+        it('should return text in the charset of the content type', function () {
+            codec.decode(message(new Buffer('café', 'binary'), {contentType: 'text/plain; charset=ISO-8859-1'})).should.equal('café');
+        });
+
+        it('should return the raw buffer for other content types', function () {
+            var content = new Buffer([1, 2, 3]);
+            codec.decode(message(content, {contentType: 'application/octet-stream'})).should.equal(content);
+        });
+
+        it('should try JSON then text without a content type', function () {
+            codec.decode(message('{"a":1}')).should.eql({a: 1});
+            codec.decode(message('hello')).should.equal('hello');
+        });
+
+        it('should use defaultContentType when the message has none', function () {
+            codec.decode(message('{"a":1}'), {defaultContentType: 'text/plain'}).should.equal('{"a":1}');
+        });
+
+        it('should inflate gzip and deflate content', function () {
+            codec.decode(message(zlib.gzipSync('{"a":1}'), {contentType: 'application/json', contentEncoding: 'gzip'})).should.eql({a: 1});
+            codec.decode(message(zlib.deflateSync('hi'), {contentType: 'text/plain', contentEncoding: 'deflate'})).should.equal('hi');
+        });
+
+        it('should replace $type with cleanData', function () {
+            codec.decode(message('{"$type":"Order"}', {contentType: 'application/json'}), {cleanData: true}).should.eql({type: 'Order'});
+        });
+
+        it('should throw on invalid JSON, unknown encodings and charsets', function () {
+            (function () {
+                codec.decode(message('{nope', {contentType: 'application/json'}));
+            }).should.throw();
+            (function () {
+                codec.decode(message('x', {contentEncoding: 'br'}));
+            }).should.throw(/Unsupported content encoding/);
+            (function () {
+                codec.decode(message('x', {contentType: 'text/plain; charset=koi8-r'}));
+            }).should.throw(/Unsupported charset/);
+        });
+    });
+
+    describe('encode', function () {
+
+        it('should send buffers as they are', function () {
+            var content = new Buffer([1, 2]);
+            var encoded = codec.encode(content);
+            encoded.content.should.equal(content);
+            encoded.contentType.should.equal('application/octet-stream');
+        });
+
+        it('should send strings as utf-8 text', function () {
+            var encoded = codec.encode('café');
+            encoded.content.toString('utf8').should.equal('café');
+            encoded.contentType.should.equal('text/plain; charset=utf-8');
+        });
+
+        it('should send anything else as JSON', function () {
+            var encoded = codec.encode({a: [1, 2]});
+            encoded.content.toString().should.equal('{"a":[1,2]}');
+            encoded.contentType.should.equal('application/json');
+            codec.encode(0).content.toString().should.equal('0');
+        });
+
+        it('should keep a given content type', function () {
+            codec.encode({a: 1}, 'application/vnd.order+json').contentType.should.equal('application/vnd.order+json');
+        });
+
+        it('should refuse an undefined payload', function () {
+            (function () {
+                codec.encode(undefined);
+            }).should.throw(/undefined payload/);
+        });
+    });
+});
@@ -0,0 +1,244 @@
+/*global describe, it, beforeEach*/
+'use strict';
+
+var should = require('should'),
+    Q = require('q'),
+    consumer = require('../rabbit.consumer.js'),
+    FakeChannel = require('./fakeChannel.js');
+
+describe('rabbit.consumer', function () {
+
+    var ch;
+
+    beforeEach(function () {
+        ch = new FakeChannel();
+        consumer.trackDeliveries(ch);
+    });
+
+    function consume(handler) {
+        return consumer.createConsumer(ch, handler, FakeChannel.client());
+    }
+
+    describe('batch', function () {
+
+        it('should hand size messages to the handler and ack them with one multiple ack', function () {
+            var batches = [];
+            var onMessage = consume({queueConfig: 'q', messageRate: 10, batch: {size: 3}, handlerFunction: function (msgs) {
+                batches.push(msgs.map(function (msg) {
+                    return msg.body.n;
+                }));
+                return Q();
+            }});
+
+            [1, 2, 3].forEach(function (n) {
+                onMessage(ch.message({n: n}));
+            });
+            return Q.delay(10).then(function () {
+                batches.should.eql([[1, 2, 3]]);
+                ch.settled.should.eql([['ack', 3, true]]);
+            });
+        });
+
+        it('should hand over what arrived once maxWaitMs expired', function () {
+            var batches = [];
+            var onMessage = consume({queueConfig: 'q', messageRate: 10, batch: {size: 5, maxWaitMs: 20}, handlerFunction: function (msgs) {
+                batches.push(msgs.length);
+                return Q();
+            }});
+
+            onMessage(ch.message({n: 1}));
+            onMessage(ch.message({n: 2}));
+            return Q.delay(5).then(function () {
+                batches.should.eql([]);
+                return Q.delay(40);
+            }).then(function () {
+                batches.should.eql([2]);
+                ch.settled.should.eql([['ack', 2, true]]);
+            });
+        });
+
+        it('should cap the batch size at the messageRate', function () {
+            var batches = [];
+            var onMessage = consume({queueConfig: 'q', messageRate: 2, batch: {size: 10}, handlerFunction: function (msgs) {
+                batches.push(msgs.length);
+                return Q();
+            }});
+
+            onMessage(ch.message({n: 1}));
+            onMessage(ch.message({n: 2}));
+            return Q.delay(10).then(function () {
+                batches.should.eql([2]);
+            });
+        });
+
+        it('should nack only the messages the handler reported as failed', function () {
+            var onMessage = consume({queueConfig: 'q', messageRate: 10, batch: {size: 3}, handlerFunction: function (msgs) {
+                return Q([{message: msgs[1], error: new Error('bad')}]);
+            }});
+
+            [1, 2, 3].forEach(function (n) {
+                onMessage(ch.message({n: n}));
+            });
+            return Q.delay(10).then(function () {
+                ch.settled.should.eql([['nack', 2, false, true], ['ack', 3, true]]);
+            });
+        });
+
+        it('should nack the whole batch when the handler rejects', function () {
+            var onMessage = consume({queueConfig: 'q', messageRate: 10, batch: {size: 2}, requeueOnError: false, handlerFunction: function () {
+                return Q.reject(new Error('down'));
+            }});
+
+            onMessage(ch.message({n: 1}));
+            onMessage(ch.message({n: 2}));
+            return Q.delay(10).then(function () {
+                ch.settled.should.eql([['nack', 2, true, false]]);
+            });
+        });
+    });
+
+    describe('ordering', function () {
+
+        it('should refuse a handler with both batch and ordering', function () {
+            (function () {
+                consume({queueConfig: 'q', messageRate: 10, batch: {size: 2}, ordering: {field: 'k'}, handlerFunction: function () {}});
+            }).should.throw(/cannot have both batch and ordering/);
+        });
+
+        // delivers three messages for key a and one for key b, resolves with the most handlers running at once per key
+        function deliver(onMessage) {
+            [['a', 1], ['a', 2], ['b', 1], ['a', 3]].forEach(function (pair) {
+                onMessage(ch.message({k: pair[0], n: pair[1]}));
+            });
+        }
+
+        function tracker() {
+            var running = {}, most = {}, order = [];
+            return {
+                start: function (msg) {
+                    var key = msg.body.k;
+                    running[key] = (running[key] || 0) + 1;
+                    most[key] = Math.max(most[key] || 0, running[key]);
+                    order.push(key + msg.body.n);
+                },
+                end: function (msg) {
+                    running[msg.body.k]--;
+                },
+                most: most,
+                order: order
+            };
+        }
+
+        it('should handle messages of a key one after the other and other keys in parallel', function () {
+            var seen = tracker();
+            deliver(consume({queueConfig: 'q', messageRate: 10, ordering: {field: 'k'}, handlerFunction: function (msg) {
+                seen.start(msg);
+                return Q.delay(10).then(function () {
+                    seen.end(msg);
+                });
+            }}));
+
+            return Q.delay(80).then(function () {
+                seen.most.should.eql({a: 1, b: 1});
+                seen.order.should.eql(['a1', 'b1', 'a2', 'a3']);
+                ch.settled.length.should.equal(4);
+            });
+        });
+
+        it('should keep the key until the handler settles after a timeout', function () {
+            var seen = tracker();
+            var client = FakeChannel.client();
+            var timeouts = 0;
+            client.client.on('handlerTimeout', function () {
+                timeouts++;
+            });
+            deliver(consumer.createConsumer(ch, {queueConfig: 'q', messageRate: 10, timeoutMs: 10, ordering: {field: 'k'}, handlerFunction: function (msg) {
+                seen.start(msg);
+                return Q.delay(30).then(function () {
+                    seen.end(msg);
+                });
+            }}, client));
+
+            return Q.delay(150).then(function () {
+                seen.most.a.should.equal(1);
+                seen.order.should.eql(['a1', 'b1', 'a2', 'a3']);
+                timeouts.should.equal(4);
+            });
+        });
+
+        it('should wait for a handler without a promise to ack before the next message of its key', function () {
+            var seen = tracker();
+            deliver(consume({queueConfig: 'q', messageRate: 10, ordering: {field: 'k'}, handlerFunction: function (msg) {
+                var channel = this;
+                seen.start(msg);
+                setTimeout(function () {
+                    seen.end(msg);
+                    channel.ack(msg);
+                }, 10);
+            }}));
+
+            return Q.delay(80).then(function () {
+                seen.most.should.eql({a: 1, b: 1});
+                seen.order.should.eql(['a1', 'b1', 'a2', 'a3']);
+                ch.settled.length.should.equal(4);
+            });
+        });
+
+        it('should keep the order of a key when the duplicate lookups finish out of order', function () {
+            var seen = tracker();
+            var store = {
+                has: function (key) {
+                    return Q.delay(key === 'a1' ? 30 : 1).then(function () {
+                        return key === 'a2';
+                    });
+                },
+                add: function () {
+                    return Q();
+                }
+            };
+            var onMessage = consume({queueConfig: 'q', messageRate: 10, ordering: {field: 'k'}, dedupe: {store: store, key: function (msg) {
+                return msg.body.k + msg.body.n;
+            }}, handlerFunction: function (msg) {
+                seen.start(msg);
+                return Q.delay(5).then(function () {
+                    seen.end(msg);
+                });
+            }});
+
+            [1, 2, 3].forEach(function (n) {
+                onMessage(ch.message({k: 'a', n: n}));
+            });
+            return Q.delay(80).then(function () {
+                seen.order.should.eql(['a1', 'a3']);
+                ch.settled.should.eql([['ack', 1, false], ['ack', 2, false], ['ack', 3, false]]);
+            });
+        });
+
+        it('should keep the order of a key and detach the previous consumer when it is replaced', function () {
+            var seen = tracker();
+            var closeListeners = ch.listeners('close').length;
+            var handler = {queueConfig: 'q', messageRate: 10, ordering: {field: 'k'}, handlerFunction: function (msg) {
+                seen.start(msg);
+                return Q.delay(20).then(function () {
+                    seen.end(msg);
+                });
+            }};
+            var options = FakeChannel.client();
+            var onMessage = consumer.createConsumer(ch, handler, options);
+
+            onMessage(ch.message({k: 'a', n: 1}));
+            for (var i = 0; i < 12; i++) {
+                options.previous = onMessage;
+                onMessage = consumer.createConsumer(ch, handler, options);
+            }
+            onMessage(ch.message({k: 'a', n: 2}));
+
+            ch.listeners('close').length.should.equal(closeListeners + 1);
+            return Q.delay(80).then(function () {
+                seen.most.should.eql({a: 1});
+                seen.order.should.eql(['a1', 'a2']);
+                ch.listeners('settled').length.should.equal(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*global describe, it*/
+/*jshint expr: true*/
+'use strict';
+
+var should = require('should'),
+    Q = require('q'),
+    dedupe = require('../rabbit.dedupe.js');
+
+describe('rabbit.dedupe', function () {
+
+    describe('MemoryStore', function () {
+
+        it('should remember added keys', function () {
+            var store = dedupe.createStore();
+            return store.add('a').then(function () {
+                return Q.all([store.has('a'), store.has('b')]);
+            }).spread(function (a, b) {
+                a.should.be.true;
+                b.should.be.false;
+            });
+        });
+
+        it('should forget keys once their ttl expired', function () {
+            var store = dedupe.createStore({ttl: 10});
+            store.add('a');
+            store.add('b', 1000);
+            return Q.delay(30).then(function () {
+                return Q.all([store.has('a'), store.has('b')]);
+            }).spread(function (a, b) {
+                a.should.be.false;
+                b.should.be.true;
+            });
+        });
+
+        it('should drop the least recently used keys past maxSize', function () {
+            var store = dedupe.createStore({maxSize: 2});
+            store.add('a');
+            store.add('b');
+            return store.has('a').then(function () {
+                store.add('c');
+                return Q.all([store.has('a'), store.has('b'), store.has('c')]);
+            }).spread(function (a, b, c) {
+                a.should.be.true;
+                b.should.be.false;
+                c.should.be.true;
+            });
+        });
+    });
+
+    describe('createDedupe', function () {
+
+        it('should key messages by messageId', function () {
+            var lookups = dedupe.createDedupe('dedupe.id', true);
+            lookups.key({properties: {messageId: 42}}).should.equal('42');
+            should.strictEqual(lookups.key({properties: {}}), null);
+        });
+
+        it('should use a custom key function', function () {
+            var lookups = dedupe.createDedupe('dedupe.custom', {
+                key: function (msg) {
+                    return msg.properties.headers.id;
+                }
+            });
+            lookups.key({properties: {headers: {id: 'x'}}}).should.equal('x');
+        });
+
+        it('should report remembered keys as duplicates', function () {
+            var lookups = dedupe.createDedupe('dedupe.remember', true);
+            return lookups.isDuplicate('k').then(function (duplicate) {
+                duplicate.should.be.false;
+                return lookups.remember('k');
+            }).then(function () {
+                return lookups.isDuplicate('k');
+            }).then(function (duplicate) {
+                duplicate.should.be.true;
+            });
+        });
+
+        it('should never report messages without a key as duplicates', function () {
+            var lookups = dedupe.createDedupe('dedupe.nokey', true);
+            return lookups.remember(null).then(function () {
+                return lookups.isDuplicate(null);
+            }).then(function (duplicate) {
+                duplicate.should.be.false;
+            });
+        });
+
+        it('should keep the default store of a queue for the same settings', function () {
+            var options = {ttl: 1000};
+            var first = dedupe.createDedupe('dedupe.shared', options);
+            return first.remember('k').then(function () {
+                return dedupe.createDedupe('dedupe.shared', options).isDuplicate('k');
+            }).then(function (duplicate) {
+                duplicate.should.be.true;
+                return dedupe.createDedupe('dedupe.other', options).isDuplicate('k');
+            }).then(function (duplicate) {
+                duplicate.should.be.false;
+            });
+        });
+
+        it('should use a custom store and turn its errors into rejections', function () {
+            var lookups = dedupe.createDedupe('dedupe.store', {
+                store: {
+                    has: function () {
+                        throw new Error('store down');
+                    },
+                    add: function () {
+                        return true;
+                    }
+                }
+            });
+            return lookups.isDuplicate('k').then(function () {
+                throw new Error('should have been rejected');
+            }, function (err) {
+                err.message.should.equal('store down');
+            });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/*global describe, it*/
+'use strict';
+
+var should = require('should'),
+    ordering = require('../rabbit.ordering.js');
+
+describe('rabbit.ordering', function () {
+
+    describe('createScheduler', function () {
+
+        it('should read the key from a header, a body field or a function', function () {
+            var msg = {properties: {headers: {'x-customer': 'h'}}, body: {customer: {id: 'f'}}};
+
+            ordering.createScheduler({header: 'x-customer'}, 1).key(msg).should.equal('h');
+            ordering.createScheduler({field: 'customer.id'}, 1).key(msg).should.equal('f');
+            should.not.exist(ordering.createScheduler({field: 'order.id'}, 1).key(msg));
+            ordering.createScheduler({
+                key: function () {
+                    return 'k';
+                }
+            }, 1).key(msg).should.equal('k');
+        });
+
+        it('should need a header, field or key function', function () {
+            (function () {
+                ordering.createScheduler({}, 1);
+            }).should.throw(/ordering needs/);
+        });
+
+        it('should default the concurrency to the one passed in', function () {
+            ordering.createScheduler({field: 'id'}, 7).concurrency.should.equal(7);
+            ordering.createScheduler({field: 'id', concurrency: 2}, 7).concurrency.should.equal(2);
+            ordering.createScheduler({field: 'id'}).concurrency.should.equal(1);
+        });
+    });
+
+    describe('Scheduler', function () {
+
+        // pushes tasks that only finish when their done function is called
+        function push(scheduler, started, key, name) {
+            scheduler.push(key, function (done) {
+                started.push({name: name, done: done});
+            });
+        }
+
+        function names(started) {
+            return started.map(function (task) {
+                return task.name;
+            });
+        }
+
+        it('should start a task once the previous one of its key is done', function () {
+            var scheduler = ordering.createScheduler({field: 'id'}, 10);
+            var started = [];
+
+            push(scheduler, started, 'a', 'a1');
+            push(scheduler, started, 'a', 'a2');
+            push(scheduler, started, 'b', 'b1');
+            names(started).should.eql(['a1', 'b1']);
+
+            started[0].done();
+            names(started).should.eql(['a1', 'b1', 'a2']);
+        });
+
+        it('should not hold back tasks without a key', function () {
+            var scheduler = ordering.createScheduler({field: 'id'}, 10);
+            var started = [];
+
+            push(scheduler, started, null, 'n1');
+            push(scheduler, started, undefined, 'n2');
+            names(started).should.eql(['n1', 'n2']);
+        });
+
+        it('should not run more than concurrency tasks across keys', function () {
+            var scheduler = ordering.createScheduler({field: 'id', concurrency: 2}, 10);
+            var started = [];
+
+            push(scheduler, started, 'a', 'a1');
+            push(scheduler, started, 'b', 'b1');
+            push(scheduler, started, 'c', 'c1');
+            names(started).should.eql(['a1', 'b1']);
+
+            started[1].done();
+            names(started).should.eql(['a1', 'b1', 'c1']);
+        });
+
+        it('should ignore a task calling done twice', function () {
+            var scheduler = ordering.createScheduler({field: 'id', concurrency: 1}, 10);
+            var started = [];
+
+            push(scheduler, started, 'a', 'a1');
+            push(scheduler, started, 'b', 'b1');
+            push(scheduler, started, 'c', 'c1');
+            started[0].done();
+            started[0].done();
+            names(started).should.eql(['a1', 'b1']);
+            scheduler.active.should.equal(1);
+        });
+
+        it('should drop the waiting tasks on clear', function () {
+            var scheduler = ordering.createScheduler({field: 'id'}, 10);
+            var started = [];
+
+            push(scheduler, started, 'a', 'a1');
+            push(scheduler, started, 'a', 'a2');
+            scheduler.clear();
+            started[0].done();
+            names(started).should.eql(['a1']);
+        });
+    });
+});
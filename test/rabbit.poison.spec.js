@@ -0,0 +1,116 @@
+/*global describe, it, beforeEach*/
+/*jshint expr: true*/
+'use strict';
+
+var should = require('should'),
+    poison = require('../rabbit.poison.js'),
+    FakeChannel = require('./fakeChannel.js');
+
+describe('rabbit.poison', function () {
+
+    var ch;
+
+    beforeEach(function () {
+        ch = new FakeChannel();
+    });
+
+    // the same message delivered again, requeued by the server
+    function redeliver(msg) {
+        var copy = ch.message(JSON.parse(msg.content.toString()), msg.properties.headers);
+        copy.properties.messageId = msg.properties.messageId;
+        copy.fields.redelivered = true;
+        return copy;
+    }
+
+    function withId(msg, id) {
+        msg.properties.messageId = id;
+        return msg;
+    }
+
+    describe('deathCount', function () {
+
+        it('should sum the counts of the x-death header', function () {
+            poison.deathCount(ch.message({}, {'x-death': [{count: 2}, {count: '3'}, {}]})).should.equal(5);
+        });
+
+        it('should ignore a missing or malformed header', function () {
+            poison.deathCount(ch.message({})).should.equal(0);
+            poison.deathCount(ch.message({}, {'x-death': 'yes'})).should.equal(0);
+        });
+    });
+
+    describe('count', function () {
+
+        it('should count the redeliveries of a message', function () {
+            var detector = poison.createDetector('poison.count', {maxDeliveries: 3});
+            var msg = withId(ch.message({n: 1}), 'm1');
+
+            detector.count(msg).should.equal(1);
+            detector.count(redeliver(msg)).should.equal(2);
+            detector.count(redeliver(msg)).should.equal(3);
+        });
+
+        it('should recognise a message without messageId by its content', function () {
+            var detector = poison.createDetector('poison.hash', true);
+            var msg = ch.message({n: 1});
+
+            detector.count(redeliver(msg)).should.equal(2);
+            detector.count(redeliver(msg)).should.equal(3);
+            detector.count(redeliver(ch.message({n: 2}))).should.equal(2);
+        });
+
+        it('should add the dead letter cycles', function () {
+            var detector = poison.createDetector('poison.death', true);
+            var msg = withId(ch.message({n: 1}, {'x-death': [{count: 2}]}), 'm1');
+
+            detector.count(msg).should.equal(3);
+            detector.count(redeliver(msg)).should.equal(4);
+        });
+
+        it('should start over once a handled message is forgotten', function () {
+            var detector = poison.createDetector('poison.forget', true);
+            var msg = withId(ch.message({n: 1}), 'm1');
+
+            detector.count(redeliver(msg)).should.equal(2);
+            detector.forget(msg);
+            detector.count(redeliver(msg)).should.equal(2);
+        });
+
+        it('should forget the oldest messages past maxTracked', function () {
+            var detector = poison.createDetector('poison.max', {maxTracked: 2});
+            var msgs = ['a', 'b', 'c'].map(function (id) {
+                return withId(ch.message({id: id}), id);
+            });
+
+            msgs.forEach(function (msg) {
+                detector.count(redeliver(msg));
+            });
+            detector.tracked.size.should.equal(2);
+            detector.count(redeliver(msgs[0])).should.equal(2);
+            detector.count(redeliver(msgs[2])).should.equal(3);
+        });
+    });
+
+    describe('quarantine', function () {
+
+        it('should park the message with its deliveries, handler and last error', function () {
+            var detector = poison.createDetector('poison.quarantine', true);
+            var msg = withId(ch.message({n: 1}), 'm1');
+
+            detector.count(redeliver(msg));
+            detector.failed(msg, new Error('boom'));
+            detector.quarantine(ch, msg, 6, 'saveOrder').should.equal('parked');
+
+            ch.sent.length.should.equal(1);
+            ch.sent[0].queue.should.equal('poison.quarantine.quarantine');
+            var headers = ch.sent[0].options.headers;
+            headers['x-delivery-count'].should.equal(6);
+            headers['x-handler'].should.equal('saveOrder');
+            headers['x-last-error'].should.equal('boom');
+            headers['x-original-queue'].should.equal('poison.quarantine');
+            headers['x-first-seen-at'].should.be.a.String;
+            ch.settled.should.eql([['ack', 1, false]]);
+            detector.tracked.size.should.equal(0);
+        });
+    });
+});
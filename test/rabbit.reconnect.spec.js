@@ -0,0 +1,112 @@
+/*global describe, it*/
+/*jshint expr: true*/
+'use strict';
+
+var should = require('should'),
+    reconnect = require('../rabbit.reconnect.js');
+
+describe('rabbit.reconnect', function () {
+
+    describe('createPolicy', function () {
+
+        it('should return a custom policy as is', function () {
+            var custom = {
+                shouldRetry: function () {
+                    return true;
+                },
+                nextDelay: function () {
+                    return 5;
+                }
+            };
+            reconnect.createPolicy(custom).should.equal(custom);
+        });
+
+        it('should build the built in policy with its defaults', function () {
+            var policy = reconnect.createPolicy();
+            policy.strategy.should.equal('fixed');
+            policy.initialDelay.should.equal(1000);
+            policy.maxRetries.should.equal(10);
+            policy.maxDelay.should.equal(reconnect.MAX_DELAY);
+        });
+
+        it('should reject an unknown strategy or jitter', function () {
+            (function () {
+                reconnect.createPolicy({strategy: 'random'});
+            }).should.throw(/Unknown reconnect strategy/);
+            (function () {
+                reconnect.createPolicy({jitter: 'some'});
+            }).should.throw(/Unknown reconnect jitter/);
+        });
+    });
+
+    describe('shouldRetry', function () {
+
+        it('should give up after maxRetries failures', function () {
+            var policy = reconnect.createPolicy({maxRetries: 2});
+            policy.shouldRetry(1).should.be.true;
+            policy.shouldRetry(2).should.be.false;
+        });
+
+        it('should never retry with maxRetries 0', function () {
+            var policy = reconnect.createPolicy({maxRetries: 0});
+            policy.maxRetries.should.equal(0);
+            policy.shouldRetry(0).should.be.false;
+        });
+
+        it('should retry forever with -1 or Infinity', function () {
+            reconnect.createPolicy({maxRetries: -1}).shouldRetry(1e9).should.be.true;
+            reconnect.createPolicy({maxRetries: Infinity}).shouldRetry(1e9).should.be.true;
+        });
+    });
+
+    describe('nextDelay', function () {
+
+        it('should keep a fixed delay', function () {
+            var policy = reconnect.createPolicy({initialDelay: 200});
+            policy.nextDelay(1).should.equal(200);
+            policy.nextDelay(7).should.equal(200);
+        });
+
+        it('should add step for every retry with linear', function () {
+            var policy = reconnect.createPolicy({strategy: 'linear', initialDelay: 100, step: 50});
+            policy.nextDelay(1).should.equal(100);
+            policy.nextDelay(3).should.equal(200);
+        });
+
+        it('should multiply by factor for every retry with exponential', function () {
+            var policy = reconnect.createPolicy({strategy: 'exponential', initialDelay: 100, factor: 3});
+            policy.nextDelay(1).should.equal(100);
+            policy.nextDelay(3).should.equal(900);
+        });
+
+        it('should not go above maxDelay', function () {
+            var policy = reconnect.createPolicy({strategy: 'exponential', initialDelay: 100, maxDelay: 1000});
+            policy.nextDelay(10).should.equal(1000);
+        });
+
+        it('should never go above the setTimeout limit', function () {
+            var policy = reconnect.createPolicy({strategy: 'exponential', initialDelay: 1000, maxRetries: Infinity});
+            policy.nextDelay(25).should.equal(reconnect.MAX_DELAY);
+            policy.nextDelay(2000).should.equal(reconnect.MAX_DELAY);
+            reconnect.createPolicy({maxDelay: 1e12}).maxDelay.should.equal(reconnect.MAX_DELAY);
+        });
+
+        it('should stay between 0 and the delay with full jitter', function () {
+            var policy = reconnect.createPolicy({strategy: 'exponential', initialDelay: 100, jitter: 'full'});
+            for (var i = 0; i < 50; i++) {
+                var delay = policy.nextDelay(3);
+                delay.should.not.be.below(0);
+                delay.should.be.below(400);
+            }
+        });
+
+        it('should stay between initialDelay and 3x the previous delay with decorrelated jitter', function () {
+            var policy = reconnect.createPolicy({initialDelay: 100, jitter: 'decorrelated', maxDelay: 250});
+            for (var i = 0; i < 50; i++) {
+                var delay = policy.nextDelay(2, 200);
+                delay.should.not.be.below(100);
+                delay.should.not.be.above(250);
+            }
+        });
+    });
+});
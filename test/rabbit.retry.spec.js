@@ -0,0 +1,99 @@
+/*global describe, it, beforeEach*/
+/*jshint expr: true*/
+'use strict';
+
+var should = require('should'),
+    retries = require('../rabbit.retry.js'),
+    FakeChannel = require('./fakeChannel.js');
+
+describe('rabbit.retry', function () {
+
+    var ch;
+
+    beforeEach(function () {
+        ch = new FakeChannel();
+    });
+
+    function attempt(msg, n) {
+        msg.properties.headers[retries.ATTEMPT_HEADER] = n;
+        return msg;
+    }
+
+    describe('createRetry', function () {
+
+        it('should use the defaults for true', function () {
+            var retry = retries.createRetry('q', true);
+            retry.attempts.should.equal(3);
+            retry.delays.should.eql([5000]);
+            retry.parkingQueue.should.equal('q.parking');
+        });
+
+        it('should keep zero attempts', function () {
+            retries.createRetry('q', {attempts: 0}).attempts.should.equal(0);
+        });
+    });
+
+    describe('retry', function () {
+
+        it('should send the first attempt to the queue of the first delay and ack the delivery', function () {
+            var retry = retries.createRetry('q', {delays: [100, 1000]});
+            var msg = ch.message({n: 1}, {trace: 'abc'});
+
+            retry.retry(ch, msg).should.equal('retried');
+            ch.sent.length.should.equal(1);
+            ch.sent[0].queue.should.equal('q.retry.100');
+            ch.sent[0].content.should.equal('{"n":1}');
+            ch.sent[0].options.headers.should.eql({trace: 'abc', 'x-retry-attempt': 1});
+            ch.settled.should.eql([['ack', 1, false]]);
+        });
+
+        it('should count the attempts from the header and reuse the last delay', function () {
+            var retry = retries.createRetry('q', {attempts: 5, delays: [100, 1000]});
+
+            retry.retry(ch, attempt(ch.message({n: 1}), 1));
+            retry.retry(ch, attempt(ch.message({n: 2}), 3));
+            ch.sent.map(function (sent) {
+                return [sent.queue, sent.options.headers['x-retry-attempt']];
+            }).should.eql([['q.retry.1000', 2], ['q.retry.1000', 4]]);
+        });
+
+        it('should drop the expiration of the message', function () {
+            var retry = retries.createRetry('q', true);
+            var msg = ch.message({n: 1});
+            msg.properties.expiration = '10';
+            msg.properties.messageId = 'm1';
+
+            retry.retry(ch, msg);
+            should.not.exist(ch.sent[0].options.expiration);
+            ch.sent[0].options.messageId.should.equal('m1');
+            msg.properties.headers.should.eql({});
+        });
+
+        it('should park the message once its attempts are used', function () {
+            var retry = retries.createRetry('q', {attempts: 2, parkingQueue: 'q.dead'});
+
+            retry.retry(ch, attempt(ch.message({n: 1}), 2), new Error('down')).should.equal('parked');
+            ch.sent[0].queue.should.equal('q.dead');
+            ch.sent[0].options.headers['x-original-queue'].should.equal('q');
+            ch.sent[0].options.headers['x-last-error'].should.equal('down');
+            ch.sent[0].options.headers['x-parked-at'].should.be.a.String;
+            ch.settled.should.eql([['ack', 1, false]]);
+        });
+
+        it('should park right away with zero attempts', function () {
+            retries.createRetry('q', {attempts: 0}).retry(ch, ch.message({n: 1})).should.equal('parked');
+            ch.sent[0].queue.should.equal('q.parking');
+        });
+    });
+
+    describe('park', function () {
+
+        it('should add the given headers and keep the ones of the message', function () {
+            retries.park(ch, ch.message({n: 1}, {trace: 'abc'}), 'q.parking', 'q', 'bad', {'x-handler': 'h'});
+            var headers = ch.sent[0].options.headers;
+            headers.trace.should.equal('abc');
+            headers['x-handler'].should.equal('h');
+            headers['x-last-error'].should.equal('bad');
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/*global describe, it, beforeEach, afterEach*/
+/*jshint expr: true*/
+'use strict';
+
+var should = require('should'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    spool = require('../rabbit.spool.js');
+
+function message(text, options) {
+    return {exchange: 'ex', routingKey: 'rk', content: new Buffer(text), options: options || {}};
+}
+
+function basename(file) {
+    return path.basename(file);
+}
+
+function contents(messages) {
+    return messages.map(function (msg) {
+        return msg.content.toString();
+    });
+}
+
+describe('rabbit.spool', function () {
+
+    var directory;
+    var spooled;
+
+    beforeEach(function () {
+        directory = path.join(os.tmpdir(), 'amqplib-lite-spool-' + process.pid + '-' + Date.now(), 'nested');
+    });
+
+    afterEach(function () {
+        if (spooled) {
+            spooled.close();
+            spooled = null;
+        }
+        fs.readdirSync(directory).forEach(function (name) {
+            fs.unlinkSync(path.join(directory, name));
+        });
+        fs.rmdirSync(directory);
+        fs.rmdirSync(path.dirname(directory));
+    });
+
+    it('should create the directory and check its settings', function () {
+        spooled = spool.createSpool({directory: directory});
+        fs.existsSync(directory).should.be.true;
+        spooled.fsync.should.equal('interval');
+        spooled.replayChunkSize.should.equal(100);
+        (function () {
+            spool.createSpool({});
+        }).should.throw(/needs a directory/);
+        (function () {
+            spool.createSpool({directory: directory, fsync: 'sometimes'});
+        }).should.throw(/Unknown publish spool fsync/);
+    });
+
+    it('should read back what was appended once the file is sealed', function () {
+        spooled = spool.createSpool({directory: directory, fsync: 'always'});
+        spooled.append(message('m1', {headers: {a: 1}, persistent: true}));
+        spooled.append(message('m2'));
+
+        spooled.files().should.eql([]);
+        spooled.seal();
+
+        var files = spooled.files();
+        files.length.should.equal(1);
+        var messages = spooled.read(files[0]);
+        contents(messages).should.eql(['m1', 'm2']);
+        messages[0].exchange.should.equal('ex');
+        messages[0].routingKey.should.equal('rk');
+        messages[0].options.should.eql({headers: {a: 1}, persistent: true});
+    });
+
+    it('should rotate to a new file past maxFileBytes and list the files oldest first', function () {
+        spooled = spool.createSpool({directory: directory, fsync: 'never', maxFileBytes: 10});
+        spooled.append(message('m1'));
+        spooled.append(message('m2'));
+        spooled.append(message('m3'));
+        spooled.seal();
+
+        var files = spooled.files();
+        files.length.should.equal(3);
+        files.map(basename).should.eql([
+            'publish-spool-0000000001.log',
+            'publish-spool-0000000002.log',
+            'publish-spool-0000000003.log'
+        ]);
+        contents(spooled.read(files[2])).should.eql(['m3']);
+    });
+
+    it('should keep counting after the replayed files were removed', function () {
+        spooled = spool.createSpool({directory: directory, prefix: 'audit', fsync: 'never'});
+        spooled.append(message('m1'));
+        spooled.seal();
+        spooled.append(message('m2'));
+        spooled.seal();
+
+        var files = spooled.files();
+        spooled.remove(files[0]);
+        spooled.append(message('m3'));
+        spooled.seal();
+        spooled.files().map(basename).should.eql(['audit-0000000002.log', 'audit-0000000003.log']);
+    });
+
+    it('should skip the lines it cannot parse', function () {
+        spooled = spool.createSpool({directory: directory, fsync: 'never'});
+        spooled.append(message('m1'));
+        spooled.seal();
+
+        var file = spooled.files()[0];
+        var skipped = [];
+        fs.appendFileSync(file, '{"exchange":"ex","rout');
+        contents(spooled.read(file, function (line) {
+            skipped.push(line);
+        })).should.eql(['m1']);
+        skipped.should.eql([2]);
+    });
+
+    it('should leave other files of the directory alone', function () {
+        spooled = spool.createSpool({directory: directory});
+        fs.writeFileSync(path.join(directory, 'notes.txt'), 'x');
+        spooled.append(message('m1'));
+        spooled.close();
+        spooled.files().map(basename).should.eql(['publish-spool-0000000001.log']);
+    });
+});
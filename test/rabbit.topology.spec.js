@@ -0,0 +1,32 @@
+/*global describe, it*/
+'use strict';
+
+var should = require('should'),
+    topology = require('../rabbit.topology.js');
+
+describe('rabbit.topology', function () {
+
+    describe('singleActiveQueue', function () {
+
+        it('should add the argument to the topology entry of the queue', function () {
+            var declared = {queues: [{name: 'Jobs', autoDelete: true, arguments: {'x-message-ttl': 1000}}]};
+
+            topology.queueOptions(topology.singleActiveQueue(declared, 'Jobs')).should.eql({
+                durable: true,
+                exclusive: false,
+                autoDelete: true,
+                arguments: {'x-message-ttl': 1000, 'x-single-active-consumer': true}
+            });
+            declared.queues[0].arguments.should.eql({'x-message-ttl': 1000});
+        });
+
+        it('should declare a durable queue when the topology does not list it', function () {
+            topology.queueOptions(topology.singleActiveQueue(undefined, 'Jobs')).should.eql({
+                durable: true,
+                exclusive: false,
+                autoDelete: false,
+                arguments: {'x-single-active-consumer': true}
+            });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/*global describe, it*/
+'use strict';
+
+var should = require('should'),
+    util = require('../rabbit.util.js');
+
+describe('rabbit.util', function () {
+
+    describe('getRabbitMqHosts', function () {
+
+        it('should list a single host with the configured port', function () {
+            util.getRabbitMqHosts({rabbitmqserver: 'rabbit-1', rabbitmqport: 5672}).should.eql([{host: 'rabbit-1', port: 5672}]);
+        });
+
+        it('should read strings, host:port strings and objects', function () {
+            util.getRabbitMqHosts({
+                rabbitmqserver: ['rabbit-1', 'rabbit-2:5673', {host: 'rabbit-3', port: 5674}, {host: 'rabbit-4'}],
+                rabbitmqport: 5672
+            }).should.eql([
+                {host: 'rabbit-1', port: 5672},
+                {host: 'rabbit-2', port: 5673},
+                {host: 'rabbit-3', port: 5674},
+                {host: 'rabbit-4', port: 5672}
+            ]);
+        });
+    });
+
+    describe('buildSocketOptions', function () {
+
+        it('should not add TLS settings without rabbitmqtls', function () {
+            util.buildSocketOptions({rabbitmqserver: 'rabbit-1', rabbitmqport: 5672}).should.eql({});
+        });
+
+        it('should copy the TLS settings and default the servername to the node host', function () {
+            util.buildSocketOptions({rabbitmqserver: 'rabbit-1', rabbitmqtls: {ca: 'ca', cert: 'cert', key: 'key', other: 1}}).should.eql({
+                ca: 'ca',
+                cert: 'cert',
+                key: 'key',
+                servername: 'rabbit-1',
+                rejectUnauthorized: true
+            });
+            util.buildSocketOptions({rabbitmqtls: {servername: 'rabbit.example.com', rejectUnauthorized: false}}, {host: 'rabbit-2'}).should.eql({
+                servername: 'rabbit.example.com',
+                rejectUnauthorized: false
+            });
+        });
+
+        it('should not use an IP address as servername', function () {
+            var options = util.buildSocketOptions({rabbitmqserver: '10.0.0.1', rabbitmqtls: {}});
+            should.not.exist(options.servername);
+            should.not.exist(util.buildSocketOptions({rabbitmqtls: {}}, {host: '::1', port: 5671}).servername);
+        });
+    });
+
+    describe('selectRabbitMqHost', function () {
+
+        var hosts = [{host: 'a'}, {host: 'b'}, {host: 'c'}];
+
+        it('should always pick the only node', function () {
+            util.selectRabbitMqHost([{host: 'a'}], 'random', 0).should.equal(0);
+            util.selectRabbitMqHost([{host: 'a'}], 'round-robin', 0).should.equal(0);
+        });
+
+        it('should go round robin by default', function () {
+            util.selectRabbitMqHost(hosts).should.equal(0);
+            util.selectRabbitMqHost(hosts, undefined, 0).should.equal(1);
+            util.selectRabbitMqHost(hosts, 'round-robin', 2).should.equal(0);
+        });
+
+        it('should never pick the previous node twice in a row at random', function () {
+            for (var i = 0; i < 100; i++) {
+                var index = util.selectRabbitMqHost(hosts, 'random', 1);
+                index.should.not.equal(1);
+                index.should.be.within(0, 2);
+            }
+        });
+    });
+});